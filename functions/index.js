@@ -0,0 +1,47 @@
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineSecret, defineString } = require('firebase-functions/params');
+const { createNotificationProvider, dispatchQueueNotifications } = require('./notifications');
+
+initializeApp();
+
+// Provider selection and template ids are plain params; the API credentials
+// are Secret Manager secrets and never reach the browser bundle.
+const notifyProvider = defineString('NOTIFY_PROVIDER', { default: 'mock' });
+const whatsappPhoneNumberId = defineString('WHATSAPP_PHONE_NUMBER_ID', { default: '' });
+const whatsappLanguage = defineString('WHATSAPP_TEMPLATE_LANGUAGE', { default: 'en' });
+const smsGatewayUrl = defineString('SMS_GATEWAY_URL', { default: '' });
+const nearTemplateId = defineString('NOTIFY_TEMPLATE_NEAR', { default: 'queue_near' });
+const turnTemplateId = defineString('NOTIFY_TEMPLATE_TURN', { default: 'queue_turn' });
+const whatsappToken = defineSecret('WHATSAPP_TOKEN');
+const smsApiKey = defineSecret('SMS_API_KEY');
+
+const dispatch = () => {
+    const provider = createNotificationProvider(notifyProvider.value(), {
+        phoneNumberId: whatsappPhoneNumberId.value(),
+        token: notifyProvider.value() === 'whatsapp' ? whatsappToken.value() : null,
+        language: whatsappLanguage.value(),
+        gatewayUrl: smsGatewayUrl.value(),
+        apiKey: notifyProvider.value() === 'sms' ? smsApiKey.value() : null,
+    });
+    return dispatchQueueNotifications(getFirestore(), provider, {
+        templateIds: { near: nearTemplateId.value(), turn: turnTemplateId.value() },
+    });
+};
+
+// Any status change can move people up the line, so every one re-checks the
+// whole active queue. Writes that leave the status alone (including this
+// function's own notification bookkeeping) are skipped.
+exports.notifyQueueChanges = onDocumentWritten({ document: 'queue/{entryId}', secrets: [whatsappToken, smsApiKey] }, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before && after && before.status === after.status) return;
+    await dispatch();
+});
+
+// Picks up sends whose run died mid-send (see NOTIFY_CLAIM_TIMEOUT_MS) and
+// failed sends that are due another try (see NOTIFY_RUN_BACKOFF_MS) when the
+// queue is otherwise quiet.
+exports.retryQueueNotifications = onSchedule({ schedule: 'every 5 minutes', secrets: [whatsappToken, smsApiKey] }, dispatch);
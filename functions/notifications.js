@@ -0,0 +1,197 @@
+const { Timestamp, FieldValue } = require('firebase-admin/firestore');
+
+// Customers are messaged twice per visit: when NOTIFY_NEAR_AHEAD or fewer people
+// are ahead of them, and when staff start their service.
+const NOTIFY_NEAR_AHEAD = 2;
+// Attempts within one run, a few seconds apart.
+const NOTIFY_MAX_ATTEMPTS = 3;
+const NOTIFY_RETRY_BASE_DELAY_MS = 2000;
+// A send that fails a whole run is picked up again by a later run (see
+// retryQueueNotifications in index.js), NOTIFY_RUN_BACKOFF_MS after the first
+// failed run and twice as long after each one after that, until
+// NOTIFY_MAX_TOTAL_ATTEMPTS attempts have been made in all.
+const NOTIFY_MAX_TOTAL_ATTEMPTS = 12;
+const NOTIFY_RUN_BACKOFF_MS = 5 * 60 * 1000;
+// A claim still 'sending' after this long belongs to a run that died mid-send
+// and may be taken over.
+const NOTIFY_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+const ACTIVE_QUEUE_STATUSES = ['waiting', 'in-service'];
+
+// Business-initiated WhatsApp messages must use templates approved in WhatsApp
+// Manager (and Indian SMS must use DLT-registered ones), so each notification
+// names a template and the ordered body parameters it fills in. Template ids
+// default to these names and can be overridden per provider (see index.js).
+const NOTIFICATION_TEMPLATES = {
+    near: {
+        name: 'queue_near',
+        parameters: ({ userName, queueNumber, ahead, salonName }) => [userName || 'there', String(ahead), salonName, String(queueNumber)],
+    },
+    turn: {
+        name: 'queue_turn',
+        parameters: ({ userName, queueNumber, stylistName, salonName }) => [userName || 'there', salonName, String(queueNumber), stylistName || 'the front desk'],
+    },
+};
+
+// Each provider exposes send({ to, templateId, parameters }) and throws on
+// failure so sendWithRetry can retry. Credentials only ever live here, on the
+// server.
+const createNotificationProvider = (name, config = {}) => {
+    switch (name) {
+        case 'whatsapp':
+            return {
+                name,
+                send: async ({ to, templateId, parameters }) => {
+                    const response = await fetch(`https://graph.facebook.com/v19.0/${config.phoneNumberId}/messages`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${config.token}` },
+                        body: JSON.stringify({
+                            messaging_product: 'whatsapp',
+                            to: to.replace(/^\+/, ''),
+                            type: 'template',
+                            template: {
+                                name: templateId,
+                                language: { code: config.language || 'en' },
+                                components: [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text })) }],
+                            },
+                        }),
+                    });
+                    if (!response.ok) throw new Error(`WhatsApp API call failed: ${response.status}`);
+                },
+            };
+        case 'sms':
+            return {
+                name,
+                send: async ({ to, templateId, parameters }) => {
+                    const response = await fetch(config.gatewayUrl, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${config.apiKey}` },
+                        body: JSON.stringify({ to, templateId, variables: parameters }),
+                    });
+                    if (!response.ok) throw new Error(`SMS gateway call failed: ${response.status}`);
+                },
+            };
+        default:
+            // Offline provider for local development and the Firestore emulator: nothing leaves the machine.
+            return {
+                name: 'mock',
+                send: async ({ to, templateId, parameters }) => { console.info(`[mock notification] to ${to}: ${templateId}(${parameters.join(', ')})`); },
+            };
+    }
+};
+
+const sendWithRetry = async (provider, payload, { maxAttempts = NOTIFY_MAX_ATTEMPTS, baseDelayMs = NOTIFY_RETRY_BASE_DELAY_MS } = {}) => {
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            await provider.send(payload);
+            return { ok: true, attempts: attempt, error: null };
+        } catch (error) {
+            lastError = error;
+            if (attempt < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, baseDelayMs * 2 ** (attempt - 1)));
+            }
+        }
+    }
+    return { ok: false, attempts: maxAttempts, error: lastError?.message || 'Unknown error' };
+};
+
+// Unclaimed, claimed by a run that never finished, or failed and due another try.
+const isClaimable = (state, now) => !state
+    || (state.status === 'sending' && now - (state.claimedAt?.toMillis() ?? 0) > NOTIFY_CLAIM_TIMEOUT_MS)
+    || (state.status === 'failed' && Boolean(state.nextAttemptAt) && now >= state.nextAttemptAt.toMillis());
+
+// notifications.{type} after a run: attempts and runs are totals across runs.
+// A failed send gets a nextAttemptAt while it is under NOTIFY_MAX_TOTAL_ATTEMPTS,
+// and none (it is given up on) once it reaches it.
+const getSendState = (previous, result, providerName, now) => {
+    const attempts = (previous?.attempts || 0) + result.attempts;
+    const runs = (previous?.runs || 0) + 1;
+    const state = { status: result.ok ? 'sent' : 'failed', provider: providerName, attempts, runs };
+    if (!result.ok) {
+        state.nextAttemptAt = attempts < NOTIFY_MAX_TOTAL_ATTEMPTS ? Timestamp.fromMillis(now + NOTIFY_RUN_BACKOFF_MS * 2 ** (runs - 1)) : null;
+    }
+    return state;
+};
+
+// Sends one notification for a queue entry. The entry's notifications.{type}
+// field is claimed in a transaction first, so overlapping function runs never
+// message the same customer twice. Every run is recorded in the entry's
+// notificationLog subcollection. Returns false when the send is not claimable
+// (someone else owns the claim, it was sent, or it is not due a retry yet).
+const sendQueueNotification = async (db, provider, entryId, type, context = {}, retryOptions = {}) => {
+    const entryRef = db.collection('queue').doc(entryId);
+    const claimed = await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(entryRef);
+        const previous = snap.data()?.notifications?.[type];
+        if (!snap.exists || !isClaimable(previous, Date.now())) return null;
+        transaction.update(entryRef, {
+            [`notifications.${type}`]: { status: 'sending', claimedAt: Timestamp.now(), attempts: previous?.attempts || 0, runs: previous?.runs || 0 },
+        });
+        return { entry: snap.data(), previous };
+    });
+    if (!claimed) return false;
+    const { entry, previous } = claimed;
+
+    const template = NOTIFICATION_TEMPLATES[type];
+    const templateId = context.templateIds?.[type] || template.name;
+    const parameters = template.parameters({ ...entry, ...context });
+    const maxAttempts = Math.max(1, Math.min(retryOptions.maxAttempts || NOTIFY_MAX_ATTEMPTS, NOTIFY_MAX_TOTAL_ATTEMPTS - (previous?.attempts || 0)));
+    const result = await sendWithRetry(provider, { to: entry.userPhone, templateId, parameters }, { ...retryOptions, maxAttempts });
+    const state = getSendState(previous, result, provider.name, Date.now());
+    await entryRef.update({ [`notifications.${type}`]: { ...state, updatedAt: FieldValue.serverTimestamp() } });
+    await entryRef.collection('notificationLog').add({
+        type,
+        to: entry.userPhone,
+        templateId,
+        parameters,
+        provider: provider.name,
+        status: state.status,
+        attempts: result.attempts,
+        error: result.error,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+};
+
+// Checked-in bookings hold their appointment time as their place in line (see
+// sortQueue in the web app).
+const getQueueSortTime = (entry) => (entry.scheduledAt ?? entry.createdAt)?.toMillis() ?? Date.now();
+
+// Looks at the whole active queue and sends whatever is due: "near" to waiting
+// entries with 1 to NOTIFY_NEAR_AHEAD people ahead, "turn" to entries in service.
+const dispatchQueueNotifications = async (db, provider, { templateIds, retryOptions } = {}) => {
+    const [queueSnap, settingsSnap] = await Promise.all([
+        db.collection('queue').where('status', 'in', ACTIVE_QUEUE_STATUSES).get(),
+        db.collection('settings').doc('salon').get(),
+    ]);
+    const salonName = settingsSnap.data()?.salonName || 'Salon Q';
+    const entries = queueSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const due = [];
+    entries
+        .filter(entry => entry.status === 'waiting')
+        .sort((a, b) => getQueueSortTime(a) - getQueueSortTime(b))
+        .forEach((entry, ahead) => {
+            if (ahead >= 1 && ahead <= NOTIFY_NEAR_AHEAD) due.push({ entry, type: 'near', context: { ahead } });
+        });
+    entries.filter(entry => entry.status === 'in-service').forEach(entry => due.push({ entry, type: 'turn', context: {} }));
+
+    const now = Date.now();
+    await Promise.all(due
+        .filter(({ entry, type }) => entry.userPhone && isClaimable(entry.notifications?.[type], now))
+        .map(({ entry, type, context }) => sendQueueNotification(db, provider, entry.id, type, { ...context, salonName, templateIds }, retryOptions)));
+};
+
+module.exports = {
+    NOTIFY_NEAR_AHEAD,
+    NOTIFY_MAX_ATTEMPTS,
+    NOTIFY_MAX_TOTAL_ATTEMPTS,
+    NOTIFY_RUN_BACKOFF_MS,
+    NOTIFY_CLAIM_TIMEOUT_MS,
+    NOTIFICATION_TEMPLATES,
+    createNotificationProvider,
+    sendWithRetry,
+    isClaimable,
+    getSendState,
+    sendQueueNotification,
+    dispatchQueueNotifications,
+};
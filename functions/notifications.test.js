@@ -0,0 +1,222 @@
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const {
+    NOTIFY_CLAIM_TIMEOUT_MS,
+    NOTIFY_MAX_TOTAL_ATTEMPTS,
+    NOTIFY_RUN_BACKOFF_MS,
+    sendWithRetry,
+    isClaimable,
+    getSendState,
+    sendQueueNotification,
+    dispatchQueueNotifications,
+} = require('./notifications');
+
+const PROJECT_ID = 'demo-salon-q';
+const NO_DELAY = { baseDelayMs: 0 };
+
+// Fails the first `failures` sends, then succeeds; records every payload.
+const flakyProvider = (failures = 0) => {
+    const calls = [];
+    return {
+        name: 'test',
+        calls,
+        send: async (payload) => {
+            calls.push(payload);
+            if (calls.length <= failures) throw new Error(`send failed (${calls.length})`);
+        },
+    };
+};
+
+describe('sendWithRetry', () => {
+    it('retries until the provider succeeds', async () => {
+        const provider = flakyProvider(2);
+        const result = await sendWithRetry(provider, { to: '+919000000001' }, NO_DELAY);
+        expect(result).toEqual({ ok: true, attempts: 3, error: null });
+        expect(provider.calls).toHaveLength(3);
+    });
+
+    it('gives up after maxAttempts and reports the last error', async () => {
+        const provider = flakyProvider(10);
+        const result = await sendWithRetry(provider, { to: '+919000000001' }, { maxAttempts: 2, baseDelayMs: 0 });
+        expect(result).toEqual({ ok: false, attempts: 2, error: 'send failed (2)' });
+        expect(provider.calls).toHaveLength(2);
+    });
+});
+
+describe('isClaimable', () => {
+    const now = Date.now();
+
+    it('claims new sends and takes over stale claims only', () => {
+        expect(isClaimable(undefined, now)).toBe(true);
+        expect(isClaimable({ status: 'sending', claimedAt: Timestamp.fromMillis(now - NOTIFY_CLAIM_TIMEOUT_MS - 1) }, now)).toBe(true);
+        expect(isClaimable({ status: 'sending', claimedAt: Timestamp.fromMillis(now) }, now)).toBe(false);
+        expect(isClaimable({ status: 'sent' }, now)).toBe(false);
+    });
+
+    it('retries failed sends once they are due, and never once given up on', () => {
+        expect(isClaimable({ status: 'failed', nextAttemptAt: Timestamp.fromMillis(now - 1) }, now)).toBe(true);
+        expect(isClaimable({ status: 'failed', nextAttemptAt: Timestamp.fromMillis(now + 1000) }, now)).toBe(false);
+        expect(isClaimable({ status: 'failed', nextAttemptAt: null }, now)).toBe(false);
+    });
+});
+
+describe('getSendState', () => {
+    const now = Date.now();
+
+    it('backs off twice as long after each failed run', () => {
+        const first = getSendState(undefined, { ok: false, attempts: 3 }, 'test', now);
+        expect(first).toMatchObject({ status: 'failed', attempts: 3, runs: 1 });
+        expect(first.nextAttemptAt.toMillis()).toBe(now + NOTIFY_RUN_BACKOFF_MS);
+
+        const second = getSendState(first, { ok: false, attempts: 3 }, 'test', now);
+        expect(second).toMatchObject({ attempts: 6, runs: 2 });
+        expect(second.nextAttemptAt.toMillis()).toBe(now + 2 * NOTIFY_RUN_BACKOFF_MS);
+    });
+
+    it('gives up once the total attempt cap is reached', () => {
+        const state = getSendState({ attempts: NOTIFY_MAX_TOTAL_ATTEMPTS - 3, runs: 3 }, { ok: false, attempts: 3 }, 'test', now);
+        expect(state).toMatchObject({ status: 'failed', attempts: NOTIFY_MAX_TOTAL_ATTEMPTS, nextAttemptAt: null });
+    });
+
+    it('keeps the running totals on success', () => {
+        expect(getSendState({ attempts: 3, runs: 1 }, { ok: true, attempts: 1 }, 'test', now)).toEqual({ status: 'sent', provider: 'test', attempts: 4, runs: 2 });
+    });
+});
+
+// Started by `npm run test:functions` from the repo root, which runs the
+// Firestore emulator and sets FIRESTORE_EMULATOR_HOST.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+describeWithEmulator('queue notifications (Firestore emulator)', () => {
+    let app;
+    let db;
+
+    beforeAll(() => {
+        app = initializeApp({ projectId: PROJECT_ID }, 'notifications-test');
+        db = getFirestore(app);
+    });
+
+    afterAll(() => deleteApp(app));
+
+    beforeEach(async () => {
+        await fetch(`http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+        await db.doc('settings/salon').set({ salonName: 'Test Salon' });
+    });
+
+    const addEntry = (id, data) => db.doc(`queue/${id}`).set({
+        userName: 'Priya Sharma',
+        userPhone: '+919000000001',
+        queueNumber: 7,
+        serviceName: 'Haircut',
+        status: 'waiting',
+        createdAt: Timestamp.now(),
+        ...data,
+    });
+
+    const readLog = async (id) => (await db.collection(`queue/${id}/notificationLog`).get()).docs.map(doc => doc.data());
+
+    it('records a sent notification on the entry and in its log', async () => {
+        await addEntry('a', { status: 'in-service', stylistName: 'Asha' });
+        const provider = flakyProvider(1);
+
+        await sendQueueNotification(db, provider, 'a', 'turn', { salonName: 'Test Salon' }, NO_DELAY);
+
+        const entry = (await db.doc('queue/a').get()).data();
+        expect(entry.notifications.turn).toMatchObject({ status: 'sent', provider: 'test', attempts: 2 });
+        const log = await readLog('a');
+        expect(log).toHaveLength(1);
+        expect(log[0]).toMatchObject({
+            type: 'turn',
+            to: '+919000000001',
+            templateId: 'queue_turn',
+            parameters: ['Priya Sharma', 'Test Salon', '7', 'Asha'],
+            provider: 'test',
+            status: 'sent',
+            attempts: 2,
+            error: null,
+        });
+        expect(provider.calls[0]).toEqual({ to: '+919000000001', templateId: 'queue_turn', parameters: ['Priya Sharma', 'Test Salon', '7', 'Asha'] });
+    });
+
+    it('logs a failure once every attempt is used up', async () => {
+        await addEntry('a', {});
+        const provider = flakyProvider(10);
+
+        await sendQueueNotification(db, provider, 'a', 'near', { ahead: 2, salonName: 'Test Salon', templateIds: { near: 'near_v2' } }, NO_DELAY);
+
+        const entry = (await db.doc('queue/a').get()).data();
+        expect(entry.notifications.near).toMatchObject({ status: 'failed', attempts: 3 });
+        const log = await readLog('a');
+        expect(log).toHaveLength(1);
+        expect(log[0]).toMatchObject({ type: 'near', templateId: 'near_v2', parameters: ['Priya Sharma', '2', 'Test Salon', '7'], status: 'failed', attempts: 3, error: 'send failed (3)' });
+    });
+
+    it('lets only one of two concurrent watchers send', async () => {
+        await addEntry('a', { status: 'in-service' });
+        const provider = flakyProvider();
+
+        const claims = await Promise.all([
+            sendQueueNotification(db, provider, 'a', 'turn', { salonName: 'Test Salon' }, NO_DELAY),
+            sendQueueNotification(db, provider, 'a', 'turn', { salonName: 'Test Salon' }, NO_DELAY),
+        ]);
+
+        expect(claims.filter(Boolean)).toHaveLength(1);
+        expect(provider.calls).toHaveLength(1);
+        expect(await readLog('a')).toHaveLength(1);
+    });
+
+    it('takes over a claim left behind by a run that died mid-send', async () => {
+        const stale = Timestamp.fromMillis(Date.now() - NOTIFY_CLAIM_TIMEOUT_MS - 1000);
+        const fresh = Timestamp.now();
+        await addEntry('stale', { status: 'in-service', notifications: { turn: { status: 'sending', claimedAt: stale } } });
+        await addEntry('fresh', { status: 'in-service', notifications: { turn: { status: 'sending', claimedAt: fresh } } });
+        const provider = flakyProvider();
+
+        expect(await sendQueueNotification(db, provider, 'stale', 'turn', {}, NO_DELAY)).toBe(true);
+        expect(await sendQueueNotification(db, provider, 'fresh', 'turn', {}, NO_DELAY)).toBe(false);
+        expect((await db.doc('queue/stale').get()).data().notifications.turn.status).toBe('sent');
+    });
+
+    it('retries a failed send on a later run once it is due', async () => {
+        const failed = (nextAttemptAt) => ({ notifications: { turn: { status: 'failed', attempts: 3, runs: 1, nextAttemptAt } } });
+        await addEntry('due', { status: 'in-service', ...failed(Timestamp.fromMillis(Date.now() - 1000)) });
+        await addEntry('later', { status: 'in-service', ...failed(Timestamp.fromMillis(Date.now() + NOTIFY_RUN_BACKOFF_MS)) });
+        const provider = flakyProvider();
+
+        expect(await sendQueueNotification(db, provider, 'due', 'turn', {}, NO_DELAY)).toBe(true);
+        expect(await sendQueueNotification(db, provider, 'later', 'turn', {}, NO_DELAY)).toBe(false);
+        expect((await db.doc('queue/due').get()).data().notifications.turn).toMatchObject({ status: 'sent', attempts: 4, runs: 2 });
+    });
+
+    it('stops retrying at the total attempt cap', async () => {
+        await addEntry('a', { status: 'in-service', notifications: { turn: { status: 'failed', attempts: NOTIFY_MAX_TOTAL_ATTEMPTS - 2, runs: 4, nextAttemptAt: Timestamp.fromMillis(Date.now() - 1000) } } });
+        const provider = flakyProvider(10);
+
+        expect(await sendQueueNotification(db, provider, 'a', 'turn', {}, NO_DELAY)).toBe(true);
+        expect(provider.calls).toHaveLength(2);
+        expect((await db.doc('queue/a').get()).data().notifications.turn).toMatchObject({ status: 'failed', attempts: NOTIFY_MAX_TOTAL_ATTEMPTS, nextAttemptAt: null });
+        expect(await sendQueueNotification(db, provider, 'a', 'turn', {}, NO_DELAY)).toBe(false);
+    });
+
+    it('sends "near" to the people 1 and 2 places back and "turn" to those in service', async () => {
+        const minutesAgo = (minutes) => Timestamp.fromMillis(Date.now() - minutes * 60000);
+        await addEntry('serving', { status: 'in-service', createdAt: minutesAgo(60) });
+        await addEntry('next', { createdAt: minutesAgo(50) });
+        await addEntry('second', { createdAt: minutesAgo(40) });
+        await addEntry('third', { createdAt: minutesAgo(30) });
+        await addEntry('fourth', { createdAt: minutesAgo(20) });
+        await addEntry('no-phone', { status: 'in-service', userPhone: null, createdAt: minutesAgo(55) });
+        const provider = flakyProvider();
+
+        await dispatchQueueNotifications(db, provider, { retryOptions: NO_DELAY });
+
+        const notified = async (id) => (await db.doc(`queue/${id}`).get()).data().notifications || {};
+        expect(Object.keys(await notified('serving'))).toEqual(['turn']);
+        expect(await notified('next')).toEqual({});
+        expect((await notified('second')).near.status).toBe('sent');
+        expect((await notified('third')).near.status).toBe('sent');
+        expect(await notified('fourth')).toEqual({});
+        expect(await notified('no-phone')).toEqual({});
+        expect(provider.calls).toHaveLength(3);
+    });
+});
@@ -0,0 +1,55 @@
+// Service worker for the installable app. It only caches the app shell (the
+// page and its hashed /static bundles) so the app opens without a connection;
+// queue data comes from Firestore's own offline cache, and requests to other
+// origins (Firebase, fonts, Gemini) are left to the network.
+const CACHE_NAME = 'salon-q-shell-v1';
+const APP_SHELL = ['/', '/index.html', '/manifest.json', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const cacheResponse = (request, response) => {
+    if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Routes are client-side (/kiosk, /dashboard/...), so every navigation gets
+    // the latest index.html, falling back to the cached one when offline.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => cacheResponse('/index.html', response))
+                .catch(() => caches.match('/index.html'))
+        );
+        return;
+    }
+
+    // Bundles under /static have content hashes in their names, so a cached copy never goes stale.
+    if (url.pathname.startsWith('/static/')) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => cacheResponse(request, response))));
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => cacheResponse(request, response))
+            .catch(() => caches.match(request))
+    );
+});
@@ -10,7 +10,10 @@ import {
   signOut,
 } from 'firebase/auth';
 import {
-  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
   collection,
   doc,
   addDoc,
@@ -25,6 +28,12 @@ import {
   orderBy,
   limit,
   getDocs,
+  runTransaction,
+  writeBatch,
+  waitForPendingWrites,
+  increment,
+  deleteField,
+  Timestamp,
 } from 'firebase/firestore';
 
 // --- Gemini API Helper ---
@@ -50,6 +59,627 @@ const callGeminiAPI = async (prompt) => {
     }
 };
 
+// --- Salon Settings ---
+// Everything the owner controls from SettingsPage lives in settings/salon.
+// Missing fields fall back to these defaults so older documents keep working.
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_LABELS = { sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday' };
+
+const DEFAULT_SALON_SETTINGS = {
+    salonName: 'Salon Q',
+    tagline: 'Your Modern Queue Solution',
+    hours: Object.fromEntries(DAY_KEYS.map(day => [day, { open: '10:00', close: '20:00', closed: false }])),
+    holidays: [],
+    maxQueueLength: 0, // 0 means no limit
+    queuePaused: false,
+    gstRate: 18, // percent, split equally into CGST and SGST
+    gstin: '',
+    estimateFromMeasuredTimes: false, // use serviceStats averages instead of configured durations
+};
+
+const withSettingsDefaults = (data = {}) => ({
+    ...DEFAULT_SALON_SETTINGS,
+    ...data,
+    hours: { ...DEFAULT_SALON_SETTINGS.hours, ...(data.hours || {}) },
+});
+
+// "09:30" -> 570 minutes after midnight.
+const parseTimeOfDay = (value) => {
+    const [hours, minutes] = String(value || '0:0').split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+// Why customers cannot join the queue right now, or null when joining is allowed.
+const getQueueClosedReason = (settings, activeCount = 0, now = new Date()) => {
+    if (settings.queuePaused) return 'The queue is paused right now. Please check back shortly.';
+    if ((settings.holidays || []).includes(getDayKey(now))) return `${settings.salonName} is closed today for a holiday.`;
+    const today = settings.hours?.[DAY_KEYS[now.getDay()]];
+    if (!today || today.closed) return `${settings.salonName} is closed today.`;
+    const minutesNow = now.getHours() * 60 + now.getMinutes();
+    if (minutesNow < parseTimeOfDay(today.open) || minutesNow >= parseTimeOfDay(today.close)) return `We're open from ${today.open} to ${today.close} today.`;
+    if (settings.maxQueueLength > 0 && activeCount >= settings.maxQueueLength) return 'The queue is full right now. Please try again soon.';
+    return null;
+};
+
+// --- Queue Helpers ---
+// Local calendar day, e.g. "2026-10-19". Token numbers restart with each new day key.
+const getDayKey = (date = new Date()) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Identifies one customer across queue visits: signed-in customers by uid and
+// kiosk walk-ins (no account) by phone number.
+const getCustomerKey = ({ userId, userPhone }) => (userId ? `user_${userId}` : `phone_${userPhone}`);
+
+// queuePublic/{entryId} mirrors each active entry for the signed-out board and
+// kiosk and for customers' position counters: queue entries themselves are only
+// readable by staff and the customer, since they hold phone numbers and payments.
+// It is written alongside every queue change and deleted when the entry closes,
+// so its existence also means "still active".
+export const toPublicEntry = (entry) => ({
+    queueNumber: entry.queueNumber,
+    userName: maskName(entry.userName),
+    serviceId: entry.serviceId,
+    serviceName: entry.serviceName,
+    serviceDuration: entry.serviceDuration,
+    preferredStylistId: entry.preferredStylistId,
+    status: entry.status,
+    stylistId: entry.stylistId || null,
+    stylistName: entry.stylistName || null,
+    createdAt: entry.createdAt,
+    scheduledAt: entry.scheduledAt || null,
+    startedAt: entry.startedAt || null,
+});
+
+// Adds a customer to the queue inside a transaction so concurrent joins can
+// neither share a token nor slip past the duplicate check:
+// - queueCounters/{day} holds the last token handed out that day and how many
+//   of that day's entries are still active (see closeQueueEntry).
+// - queueLocks/{customerKey} points at the customer's latest entry; a new
+//   entry is only allowed once that one is no longer active (its queuePublic
+//   copy is gone; the kiosk cannot read queue entries).
+// settings/salon is read in the same transaction, so a pause, closing time or
+// queue length limit takes effect immediately.
+// Passing a booking checks that appointment in instead: the queue rules are
+// skipped, the entry keeps the booked time as scheduledAt (its place in line,
+// see sortQueue) and the booking's reserved slot is released.
+// Returns the existing entry instead of writing when one is already active, and
+// blockedReason instead of writing when the queue is closed. `now` picks the
+// day's counter and is checked against opening hours.
+export const joinQueue = async (db, { userId = null, userName, userPhone = null, service, preferredStylist = null, source = 'app', booking = null, now = new Date() }) => {
+    const customerKey = getCustomerKey({ userId, userPhone });
+    const dayKey = getDayKey(now);
+    const counterRef = doc(db, "queueCounters", dayKey);
+    const lockRef = doc(db, "queueLocks", customerKey);
+    const settingsRef = doc(db, "settings", "salon");
+    const entryRef = doc(collection(db, "queue"));
+    const bookingRef = booking ? doc(db, "bookings", booking.id) : null;
+
+    return runTransaction(db, async (transaction) => {
+        const settingsSnap = await transaction.get(settingsRef);
+        const lockSnap = await transaction.get(lockRef);
+        if (lockSnap.exists()) {
+            const existingSnap = await transaction.get(doc(db, "queuePublic", lockSnap.data().entryId));
+            if (existingSnap.exists()) {
+                return { alreadyQueued: true, entry: { id: existingSnap.id, ...existingSnap.data() } };
+            }
+        }
+
+        const counterSnap = await transaction.get(counterRef);
+        const activeCount = counterSnap.data()?.activeCount || 0;
+        if (booking) {
+            const bookingSnap = await transaction.get(bookingRef);
+            if (bookingSnap.data()?.status !== 'booked') return { alreadyQueued: false, blockedReason: 'This booking has already been checked in or cancelled.', entry: null };
+        } else {
+            const blockedReason = getQueueClosedReason(withSettingsDefaults(settingsSnap.data()), activeCount, now);
+            if (blockedReason) return { alreadyQueued: false, blockedReason, entry: null };
+        }
+
+        const queueNumber = (counterSnap.exists() ? counterSnap.data().lastNumber : 0) + 1;
+        const entry = {
+            userId,
+            userName,
+            userPhone,
+            customerKey,
+            serviceId: service.id,
+            serviceName: service.name,
+            serviceDuration: service.duration,
+            servicePrice: Number(service.price) || 0,
+            preferredStylistId: preferredStylist?.id || 'any',
+            preferredStylistName: preferredStylist?.name || null,
+            status: "waiting",
+            queueNumber,
+            dayKey,
+            source,
+            createdAt: serverTimestamp(),
+            ...(booking ? { bookingId: booking.id, scheduledAt: Timestamp.fromMillis(dayKeyToMillis(booking.date, booking.startMinutes)) } : {}),
+        };
+        transaction.set(entryRef, entry);
+        transaction.set(doc(db, "queuePublic", entryRef.id), toPublicEntry(entry));
+        if (booking) {
+            transaction.update(bookingRef, { status: 'checked-in', queueEntryId: entryRef.id, checkedInAt: serverTimestamp() });
+            setBookingDaySlot(transaction, db, booking.date, booking.id, null);
+        }
+        transaction.set(counterRef, { lastNumber: queueNumber, activeCount: activeCount + 1, lastEntryId: entryRef.id, updatedAt: serverTimestamp() });
+        transaction.set(lockRef, { entryId: entryRef.id, updatedAt: serverTimestamp() });
+        return { alreadyQueued: false, entry: { id: entryRef.id, ...entry } };
+    });
+};
+
+// Takes an entry out of the active queue (completed, removed or cancelled) as
+// part of `writer`, a transaction or write batch, and releases its place in
+// queueCounters/{entry.dayKey}.activeCount and its queuePublic copy. Entries
+// from before dayKey was recorded were never counted there.
+export const closeQueueEntry = (writer, db, entry, changes) => {
+    writer.update(doc(db, "queue", entry.id), changes);
+    writer.delete(doc(db, "queuePublic", entry.id));
+    if (entry.dayKey) {
+        writer.set(doc(db, "queueCounters", entry.dayKey), { activeCount: increment(-1), lastClosedEntryId: entry.id, updatedAt: serverTimestamp() }, { merge: true });
+    }
+};
+
+// Checks an in-service entry out: saves the invoice (numbered from
+// invoiceCounters/{day}) and marks the entry completed in one transaction, then
+// folds the visit into the customer's profile in customers/{customerKey} and the
+// measured service time into serviceStats/{serviceId}.
+// Returns null without writing anything when the entry is no longer in service
+// (already checked out or removed, e.g. from another device).
+// Offline, the counter cannot be read, so the invoice gets a provisional
+// "OFF" number from its id and is written in a batch that syncs later; the
+// in-service check then uses the entry as last seen.
+// Completed entries stay in the queue collection as the customer's visit history.
+// `checkout` is { items, discount, paymentMethod } as built by CheckoutModal.
+const completeQueueEntry = async (db, entry, checkout, { salonName, gstRate, gstin, staffId }) => {
+    const customerKey = entry.customerKey || getCustomerKey(entry);
+    const entryRef = doc(db, "queue", entry.id);
+    const invoiceRef = doc(collection(db, "invoices"));
+    const dayKey = getDayKey();
+    const counterRef = doc(db, "invoiceCounters", dayKey);
+    const buildInvoice = (invoiceNumber) => ({
+        invoiceNumber,
+        queueEntryId: entry.id,
+        customerKey,
+        userId: entry.userId || null,
+        customerName: entry.userName || null,
+        customerPhone: entry.userPhone || null,
+        stylistName: entry.stylistName || null,
+        items: checkout.items,
+        discount: checkout.discount,
+        paymentMethod: checkout.paymentMethod,
+        ...calculateInvoiceTotals(checkout.items, checkout.discount, gstRate),
+        gstRate,
+        gstin: gstin || null,
+        salonName,
+        createdBy: staffId,
+        createdAt: serverTimestamp(),
+    });
+    const completion = (invoiceData) => ({ status: 'completed', completedAt: serverTimestamp(), customerKey, invoiceId: invoiceRef.id, amountPaid: invoiceData.total });
+
+    let invoiceData = null;
+    if (navigator.onLine) {
+        try {
+            const result = await runTransaction(db, async (transaction) => {
+                const entrySnap = await transaction.get(entryRef);
+                if (entrySnap.data()?.status !== 'in-service') return { inService: false };
+                const counterSnap = await transaction.get(counterRef);
+                const sequence = (counterSnap.exists() ? counterSnap.data().lastNumber : 0) + 1;
+                const data = buildInvoice(`INV-${dayKey.replace(/-/g, '')}-${String(sequence).padStart(3, '0')}`);
+                transaction.set(invoiceRef, data);
+                transaction.set(counterRef, { lastNumber: sequence, updatedAt: serverTimestamp() });
+                closeQueueEntry(transaction, db, { id: entry.id, ...entrySnap.data() }, completion(data));
+                return { inService: true, data };
+            });
+            if (!result.inService) return null;
+            invoiceData = result.data;
+        } catch (err) {
+            if (err.code !== 'unavailable') throw err;
+        }
+    }
+    if (!invoiceData) {
+        if (entry.status !== 'in-service') return null;
+        invoiceData = buildInvoice(`INV-${dayKey.replace(/-/g, '')}-OFF-${invoiceRef.id.slice(0, 5).toUpperCase()}`);
+        const batch = writeBatch(db);
+        batch.set(invoiceRef, invoiceData);
+        closeQueueEntry(batch, db, entry, completion(invoiceData));
+        trackWrite(batch.commit(), `Invoice ${invoiceData.invoiceNumber} could not be saved.`);
+    }
+    const invoice = { id: invoiceRef.id, ...invoiceData, createdAt: Timestamp.now() };
+
+    const serviceQuantities = {};
+    invoice.items.filter(item => item.type === 'service').forEach(item => {
+        serviceQuantities[item.name] = (serviceQuantities[item.name] || 0) + item.quantity;
+    });
+    trackWrite(setDoc(doc(db, "customers", customerKey), {
+        customerKey,
+        userId: entry.userId || null,
+        name: entry.userName || null,
+        phone: entry.userPhone || null,
+        visitCount: increment(1),
+        totalSpend: increment(invoice.total),
+        lastVisitAt: serverTimestamp(),
+        serviceCounts: Object.fromEntries(Object.entries(serviceQuantities).map(([name, quantity]) => [name, increment(quantity)])),
+    }, { merge: true }), `Could not update ${entry.userName}'s visit history.`);
+
+    const startedAt = toMillis(entry.startedAt);
+    if (entry.serviceId && startedAt) {
+        trackWrite(setDoc(doc(db, "serviceStats", entry.serviceId), {
+            serviceName: entry.serviceName,
+            samples: increment(1),
+            totalMinutes: increment((Date.now() - startedAt) / 60000),
+            updatedAt: serverTimestamp(),
+        }, { merge: true }), 'Could not record the service time.');
+    }
+    return invoice;
+};
+
+// Firestore Timestamps (or pending serverTimestamp() sentinels, which read back as null) to epoch ms.
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+// Queue order: checked-in bookings hold their appointment time as their place
+// in line, everyone else queues by the time they joined.
+const getQueueSortTime = (item) => toMillis(item.scheduledAt) ?? toMillis(item.createdAt) ?? Date.now();
+const sortQueue = (entries) => [...entries].sort((a, b) => getQueueSortTime(a) - getQueueSortTime(b));
+
+// Simulates the salon's chairs in parallel to estimate when each waiting entry
+// will be called. Every active stylist is one chair; in-service entries keep
+// their chair busy until startedAt + duration, and waiting entries take, in
+// queue order, whichever allowed chair frees up first (their preferred stylist,
+// or any chair). Upcoming bookings ({ start, end, stylistId } in ms) block
+// their chair for the booked time. Without a stylist roster every in-service
+// entry counts as a chair. measuredDurations ({ [serviceId]: minutes }, see
+// useMeasuredDurations) overrides the configured duration per service.
+// Returns { [entryId]: { minutes, stylistId, stylistName } } for waiting entries.
+const estimateWaitTimes = (queue, stylists = [], now = Date.now(), reservations = [], measuredDurations = {}) => {
+    const inService = queue.filter(item => item.status === 'in-service');
+    const waiting = sortQueue(queue.filter(item => item.status === 'waiting'));
+    const durationMs = (item) => (measuredDurations[item.serviceId] ?? (Number(item.serviceDuration) || 0)) * 60 * 1000;
+    const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+    let chairs = stylists.filter(stylist => stylist.active !== false).map(stylist => ({ stylistId: stylist.id, stylistName: stylist.name, freeAt: now, reservations: [] }));
+    if (chairs.length === 0) {
+        chairs = Array.from({ length: Math.max(1, inService.length) }, () => ({ stylistId: null, stylistName: null, freeAt: now, reservations: [] }));
+    }
+    const earliestFree = (candidates) => candidates.reduce((best, chair) => (chair.freeAt < best.freeAt ? chair : best));
+
+    reservations.filter(reservation => reservation.end > now).forEach(reservation => {
+        const chair = chairs.find(c => c.stylistId && c.stylistId === reservation.stylistId)
+            || chairs.find(c => !c.reservations.some(other => overlaps(other, reservation)));
+        if (chair) chair.reservations.push(reservation);
+    });
+    // First start time on this chair, from `from` onwards, that does not run into a booking.
+    const nextStartOn = (chair, from, duration) => [...chair.reservations]
+        .sort((a, b) => a.start - b.start)
+        .reduce((start, reservation) => (overlaps(reservation, { start, end: start + duration }) ? reservation.end : start), from);
+
+    inService.forEach(item => {
+        const endsAt = Math.max(now, (toMillis(item.startedAt) ?? now) + durationMs(item));
+        const chair = chairs.find(c => c.stylistId && c.stylistId === item.stylistId) || earliestFree(chairs);
+        chair.freeAt = Math.max(chair.freeAt, endsAt);
+    });
+
+    const waitTimes = {};
+    waiting.forEach(item => {
+        const preferred = chairs.filter(c => c.stylistId && c.stylistId === item.preferredStylistId);
+        const options = (preferred.length > 0 ? preferred : chairs).map(chair => ({ chair, start: nextStartOn(chair, chair.freeAt, durationMs(item)) }));
+        const { chair, start } = options.reduce((best, option) => (option.start < best.start ? option : best));
+        waitTimes[item.id] = { minutes: Math.ceil((start - now) / 60000), stylistId: chair.stylistId, stylistName: chair.stylistName };
+        chair.freeAt = start + durationMs(item);
+    });
+    return waitTimes;
+};
+
+// Public displays show "Priya S." style names. Entries without a real name fall
+// back to the phone number, so anything containing digits is hidden entirely.
+const maskName = (name) => {
+    if (!name || /\d/.test(name)) return 'Guest';
+    const [first, ...rest] = name.trim().split(/\s+/);
+    const lastInitial = rest.length > 0 ? ` ${rest[rest.length - 1][0].toUpperCase()}.` : '';
+    return `${first}${lastInitial}`;
+};
+
+// --- Booking Helpers ---
+// Bookings live in bookings/{id}. bookingDays/{YYYY-MM-DD} keeps an anonymous
+// map of the slots still reserved that day, keyed by booking id; it is what
+// availability and the wait estimates read, and what makes booking a slot atomic.
+// lastBookingId names the one booking each write is for, so the rules can check
+// it against that booking's own change.
+const BOOKING_SLOT_MINUTES = 15;
+const BOOKING_DAYS_AHEAD = 14;
+const NO_SHOW_GRACE_MINUTES = 15;
+
+const formatTimeOfDay = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const formatClockTime = (timestamp) => {
+    const millis = toMillis(timestamp);
+    return millis ? new Date(millis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+};
+
+// Epoch ms for `minutes` after local midnight on a "YYYY-MM-DD" day.
+const dayKeyToMillis = (dayKey, minutes = 0) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day, 0, minutes).getTime();
+};
+
+// bookingDays/{dayKey} data to a list of { bookingId, startMinutes, duration, stylistId }.
+const getDaySlots = (bookingDay) => Object.entries(bookingDay?.slots || {}).map(([bookingId, slot]) => ({ bookingId, ...slot }));
+
+// Adds a booking's slot to its day as part of `transaction`, or frees it when `slot` is null.
+const setBookingDaySlot = (transaction, db, dayKey, bookingId, slot) => transaction.set(doc(db, "bookingDays", dayKey), {
+    slots: { [bookingId]: slot || deleteField() },
+    lastBookingId: bookingId,
+    updatedAt: serverTimestamp(),
+}, { merge: true });
+
+const slotsToReservations = (dayKey, slots = []) => slots.map(slot => ({
+    start: dayKeyToMillis(dayKey, slot.startMinutes),
+    end: dayKeyToMillis(dayKey, slot.startMinutes + slot.duration),
+    stylistId: slot.stylistId,
+}));
+
+// A slot is free while fewer bookings overlap it than there are chairs, and the
+// requested stylist (if any) is not already booked over it.
+const isSlotAvailable = (slots, startMinutes, duration, stylistId, stylists) => {
+    const endMinutes = startMinutes + duration;
+    const overlapping = slots.filter(slot => slot.startMinutes < endMinutes && startMinutes < slot.startMinutes + slot.duration);
+    const chairCount = Math.max(1, stylists.filter(stylist => stylist.active !== false).length);
+    if (overlapping.length >= chairCount) return false;
+    return !stylistId || stylistId === 'any' || !overlapping.some(slot => slot.stylistId === stylistId);
+};
+
+// Start times (minutes after midnight) a service can still be booked at on dayKey.
+const getAvailableSlots = ({ dayKey, duration, settings, slots, stylistId, stylists, now = Date.now() }) => {
+    if ((settings.holidays || []).includes(dayKey)) return [];
+    const hours = settings.hours?.[DAY_KEYS[new Date(dayKeyToMillis(dayKey)).getDay()]];
+    if (!hours || hours.closed) return [];
+    const available = [];
+    for (let start = parseTimeOfDay(hours.open); start + duration <= parseTimeOfDay(hours.close); start += BOOKING_SLOT_MINUTES) {
+        if (dayKeyToMillis(dayKey, start) > now && isSlotAvailable(slots, start, duration, stylistId, stylists)) {
+            available.push(start);
+        }
+    }
+    return available;
+};
+
+// Books a slot in a transaction against bookingDays/{day}, so two customers can
+// never take the last chair at the same time. Returns { unavailable: true } if
+// the slot was taken in the meantime.
+const createBooking = async (db, { userId, userName, userPhone, service, stylist = null, dayKey, startMinutes, stylists }) => {
+    const bookingRef = doc(collection(db, "bookings"));
+    const bookingDayRef = doc(db, "bookingDays", dayKey);
+    const duration = Number(service.duration) || 0;
+    const stylistId = stylist?.id || 'any';
+
+    return runTransaction(db, async (transaction) => {
+        const bookingDaySnap = await transaction.get(bookingDayRef);
+        const slots = getDaySlots(bookingDaySnap.data());
+        if (!isSlotAvailable(slots, startMinutes, duration, stylistId, stylists)) return { unavailable: true, booking: null };
+
+        const booking = {
+            userId,
+            userName,
+            userPhone,
+            customerKey: getCustomerKey({ userId, userPhone }),
+            serviceId: service.id,
+            serviceName: service.name,
+            serviceDuration: duration,
+            servicePrice: Number(service.price) || 0,
+            stylistId,
+            stylistName: stylist?.name || null,
+            date: dayKey,
+            startMinutes,
+            status: 'booked',
+            createdAt: serverTimestamp(),
+        };
+        transaction.set(bookingRef, booking);
+        setBookingDaySlot(transaction, db, dayKey, bookingRef.id, { startMinutes, duration, stylistId });
+        return { unavailable: false, booking: { id: bookingRef.id, ...booking } };
+    });
+};
+
+// Cancels a booking or marks it a no-show, handing its slot back.
+const closeBooking = async (db, booking, status) => {
+    const bookingRef = doc(db, "bookings", booking.id);
+    const closed = await runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        if (bookingSnap.data()?.status !== 'booked') return false;
+        transaction.update(bookingRef, { status, [`${status === 'no-show' ? 'noShow' : status}At`]: serverTimestamp() });
+        setBookingDaySlot(transaction, db, booking.date, booking.id, null);
+        return true;
+    });
+    if (closed && status === 'no-show') {
+        await setDoc(doc(db, "customers", booking.customerKey), { customerKey: booking.customerKey, noShowCount: increment(1) }, { merge: true });
+    }
+    return closed;
+};
+
+export const checkInBooking = (db, booking) => joinQueue(db, {
+    userId: booking.userId,
+    userName: booking.userName,
+    userPhone: booking.userPhone,
+    service: { id: booking.serviceId, name: booking.serviceName, duration: booking.serviceDuration, price: booking.servicePrice },
+    preferredStylist: booking.stylistId !== 'any' ? { id: booking.stylistId, name: booking.stylistName } : null,
+    source: 'booking',
+    booking,
+});
+
+// --- Billing Helpers ---
+const PAYMENT_METHODS = [
+    { id: 'cash', label: 'Cash' },
+    { id: 'upi', label: 'UPI' },
+    { id: 'card', label: 'Card' },
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const formatCurrency = (value) => `₹${(Number(value) || 0).toFixed(2)}`;
+
+// Service and product prices are GST-exclusive. The discount applies before
+// tax, and GST on the taxable amount is split equally into CGST and SGST.
+const calculateInvoiceTotals = (items, discount = { type: 'flat', value: 0 }, gstRate = 0) => {
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0), 0));
+    const discountValue = Math.max(0, Number(discount.value) || 0);
+    const discountAmount = roundCurrency(Math.min(subtotal, discount.type === 'percent' ? subtotal * Math.min(discountValue, 100) / 100 : discountValue));
+    const taxableAmount = roundCurrency(subtotal - discountAmount);
+    const cgst = roundCurrency(taxableAmount * gstRate / 200);
+    const sgst = cgst;
+    return { subtotal, discountAmount, taxableAmount, cgst, sgst, total: roundCurrency(taxableAmount + cgst + sgst) };
+};
+
+const formatReceiptText = (invoice) => [
+    `${invoice.salonName} - Receipt ${invoice.invoiceNumber}`,
+    ...invoice.items.map(item => `${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''}: ${formatCurrency(item.price * item.quantity)}`),
+    invoice.discountAmount > 0 ? `Discount: -${formatCurrency(invoice.discountAmount)}` : null,
+    `CGST (${invoice.gstRate / 2}%): ${formatCurrency(invoice.cgst)}`,
+    `SGST (${invoice.gstRate / 2}%): ${formatCurrency(invoice.sgst)}`,
+    `Total: ${formatCurrency(invoice.total)} (${PAYMENT_METHODS.find(m => m.id === invoice.paymentMethod)?.label || invoice.paymentMethod})`,
+    'Thank you for visiting!',
+].filter(Boolean).join('\n');
+
+// --- Analytics Helpers ---
+// Queue entries carry a timestamp per transition: createdAt (joined), startedAt,
+// completedAt, and cancelledAt / removedAt for people who left before being served.
+const WALK_OUT_STATUSES = ['cancelled', 'removed'];
+// A service needs this many measured visits before its average replaces the configured duration.
+const SERVICE_STATS_MIN_SAMPLES = 5;
+
+const minutesBetween = (from, to) => {
+    const start = toMillis(from);
+    const end = toMillis(to);
+    return start !== null && end !== null ? (end - start) / 60000 : null;
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Wait is measured from the customer's place in line (the booked time for
+// appointments) to the start of service.
+const getWaitMinutes = (entry) => (entry.startedAt ? Math.max(0, (toMillis(entry.startedAt) - getQueueSortTime(entry)) / 60000) : null);
+
+// Aggregates queue entries (joined in the range) and invoices (issued in the range).
+const summarizeAnalytics = (entries, invoices) => {
+    const days = {};
+    const hours = {};
+    const services = {};
+    const serviceRow = (id, name) => {
+        services[id] = services[id] || { serviceId: id, serviceName: name, configuredMinutes: null, actualMinutes: [], served: 0, revenue: 0 };
+        return services[id];
+    };
+
+    entries.forEach(entry => {
+        const joinedAt = toMillis(entry.createdAt);
+        if (joinedAt === null) return;
+        const day = getDayKey(new Date(joinedAt));
+        days[day] = days[day] || { day, joined: 0 };
+        days[day].joined += 1;
+        const hour = new Date(joinedAt).getHours();
+        hours[hour] = (hours[hour] || 0) + 1;
+        if (entry.status === 'completed') {
+            const row = serviceRow(entry.serviceId, entry.serviceName);
+            row.served += 1;
+            row.configuredMinutes = Number(entry.serviceDuration) || row.configuredMinutes;
+            const actual = minutesBetween(entry.startedAt, entry.completedAt);
+            if (actual !== null) row.actualMinutes.push(actual);
+        }
+    });
+
+    let productRevenue = 0;
+    invoices.forEach(invoice => {
+        invoice.items.forEach(item => {
+            const amount = (Number(item.price) || 0) * (Number(item.quantity) || 0);
+            if (item.type === 'service') serviceRow(item.serviceId || item.name, item.name).revenue += amount;
+            else productRevenue += amount;
+        });
+    });
+
+    const closed = entries.filter(entry => entry.status === 'completed' || WALK_OUT_STATUSES.includes(entry.status));
+    const walkOuts = closed.filter(entry => WALK_OUT_STATUSES.includes(entry.status) && !entry.startedAt).length;
+    return {
+        days: Object.values(days).sort((a, b) => a.day.localeCompare(b.day)),
+        hours,
+        services: Object.values(services).map(row => ({ ...row, averageMinutes: average(row.actualMinutes) })).sort((a, b) => b.revenue - a.revenue),
+        productRevenue,
+        totalJoined: entries.length,
+        averageWaitMinutes: average(entries.map(getWaitMinutes).filter(minutes => minutes !== null)),
+        walkOuts,
+        walkOutRate: closed.length > 0 ? walkOuts / closed.length : null,
+        revenue: invoices.reduce((sum, invoice) => sum + (Number(invoice.total) || 0), 0),
+    };
+};
+
+// --- CSV Helpers ---
+// Text that a spreadsheet would run as a formula (names typed at the kiosk,
+// staff notes) is prefixed with ' so it opens as plain text. Numbers, including
+// negative ones, are left alone.
+const toCsv = (rows) => rows.map(row => row.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\n');
+
+const downloadCsv = (filename, rows) => {
+    const url = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Offline Sync Helpers ---
+// Firestore runs with offline persistence (see App): writes land in the local
+// cache at once and reach the server when the connection returns, but a write's
+// promise only settles after that round trip. Screens that must keep working
+// offline hand writes to trackWrite instead of awaiting them; it counts them for
+// SyncStatusIndicator and reports the ones the server rejects as error toasts.
+// Transactions (tokens, bookings, invoice numbers) need the server and fail offline.
+const TOAST_DURATION_MS = 6000;
+const syncListeners = { pending: new Set(), failure: new Set() };
+let pendingWriteCount = 0;
+let hasEarlierPendingWrites = false;
+
+const notifyPendingListeners = () => {
+    syncListeners.pending.forEach(listener => listener({ pendingCount: pendingWriteCount, hasEarlierWrites: hasEarlierPendingWrites }));
+};
+
+const setPendingWriteCount = (count) => {
+    pendingWriteCount = count;
+    notifyPendingListeners();
+};
+
+// Writes made offline before a reload wait in the persistent cache but were
+// never counted by trackWrite in this session, so until Firestore confirms
+// every queued write reached the server they are shown as unsynced changes.
+const trackEarlierWrites = (db) => {
+    hasEarlierPendingWrites = true;
+    notifyPendingListeners();
+    waitForPendingWrites(db)
+        .catch((err) => console.error("Waiting for earlier writes failed:", err))
+        .finally(() => {
+            hasEarlierPendingWrites = false;
+            notifyPendingListeners();
+        });
+};
+
+const getErrorMessage = (err, fallback) => {
+    if (err?.code === 'permission-denied') return "You don't have permission to do that.";
+    if (err?.code === 'unavailable' || !navigator.onLine) return "You're offline. Try again once the connection is back.";
+    return fallback;
+};
+
+const trackWrite = (promise, failureMessage = 'A change could not be saved.') => {
+    setPendingWriteCount(pendingWriteCount + 1);
+    promise
+        .catch((err) => {
+            console.error("Write failed:", err);
+            syncListeners.failure.forEach(listener => listener(getErrorMessage(err, failureMessage)));
+        })
+        .finally(() => setPendingWriteCount(pendingWriteCount - 1));
+};
+
+const subscribeWriteFailures = (listener) => {
+    syncListeners.failure.add(listener);
+    return () => syncListeners.failure.delete(listener);
+};
+
 // --- App Context for State Management ---
 const AppContext = createContext();
 
@@ -116,6 +746,17 @@ export default function App() {
   const [userData, setUserData] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [route, setRoute] = useState('/login'); 
+  const [settings, setSettings] = useState(DEFAULT_SALON_SETTINGS);
+  const [toasts, setToasts] = useState([]);
+
+  const showToast = useCallback((message, type = 'error') => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts(current => [...current, { id, message, type }]);
+    setTimeout(() => setToasts(current => current.filter(toast => toast.id !== id)), TOAST_DURATION_MS);
+  }, []);
+
+  // Background writes (see trackWrite) that the server rejects once synced.
+  useEffect(() => subscribeWriteFailures(showToast), [showToast]);
 
   // Updated logic to prioritize Vercel Environment Variables
   useEffect(() => {
@@ -149,7 +790,14 @@ export default function App() {
         try {
             const app = initializeApp(firebaseConfig);
             const auth = getAuth(app);
-            const db = getFirestore(app);
+            // Persistent cache so staff can keep working through connection drops; shared across tabs (dashboard + kiosk).
+            const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+            // e.g. REACT_APP_FIRESTORE_EMULATOR_HOST=localhost:8080 to run against the local emulator
+            if (process.env.REACT_APP_FIRESTORE_EMULATOR_HOST) {
+                const [host, port] = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST.split(':');
+                connectFirestoreEmulator(db, host, Number(port));
+            }
+            trackEarlierWrites(db);
             setFirebaseServices({ app, auth, db });
         } catch (e) {
             console.error("Failed to initialize Firebase:", e);
@@ -198,6 +846,19 @@ export default function App() {
     return () => unsubscribe();
   }, [firebaseServices]);
 
+  // Salon settings are public and read live, so owner changes reach every screen immediately.
+  useEffect(() => {
+    if (!firebaseServices) return;
+    const unsubscribe = onSnapshot(doc(firebaseServices.db, "settings", "salon"), (snap) => {
+      setSettings(withSettingsDefaults(snap.data()));
+    }, (error) => console.error("Failed to load salon settings:", error));
+    return () => unsubscribe();
+  }, [firebaseServices]);
+
+  useEffect(() => {
+    document.title = settings.salonName;
+  }, [settings.salonName]);
+
   const navigate = (path) => {
     window.history.pushState(null, '', path);
     setRoute(path);
@@ -234,6 +895,10 @@ export default function App() {
         return <DashboardLayout navigate={navigate} route={route} />;
     }
 
+    if (route.startsWith('/book')) {
+      return <BookingPage navigate={navigate} route={route} />;
+    }
+
     switch (route) {
       case '/services':
         return <ServiceSelectionPage navigate={navigate} />;
@@ -245,7 +910,7 @@ export default function App() {
   };
 
   return (
-    <AppContext.Provider value={{ user, userData, navigate, ...firebaseServices }}>
+    <AppContext.Provider value={{ user, userData, settings, navigate, showToast, ...firebaseServices }}>
       <div className="bg-[#111111] min-h-screen text-white font-['Inter']">
         <style>
           {`
@@ -257,9 +922,12 @@ export default function App() {
             .animate-fade-in { animation: fadeIn 0.5s ease-in-out; }
             @keyframes fadeIn { from { opacity: 0; } to { opacity: 1; } }
             .gemini-response { white-space: pre-wrap; }
+            @media print { .no-print { display: none !important; } }
+            @media print { body:has(.print-area) * { visibility: hidden; } .print-area, .print-area * { visibility: visible; } .print-area { position: absolute; left: 0; top: 0; width: 100%; color: #000; background: #fff; } }
           `}
         </style>
         {renderContent()}
+        <ToastStack toasts={toasts} onDismiss={(id) => setToasts(current => current.filter(toast => toast.id !== id))} />
       </div>
     </AppContext.Provider>
   );
@@ -277,17 +945,1896 @@ const PlusIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24
 const TrashIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>);
 const EditIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>);
 const LogoutIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path><polyline points="16 17 21 12 16 7"></polyline><line x1="21" y1="12" x2="9" y2="12"></line></svg>);
+const ChairIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="M19 9V6a2 2 0 0 0-2-2H7a2 2 0 0 0-2 2v3"/><path d="M3 16a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-5a2 2 0 0 0-4 0v1.5a.5.5 0 0 1-.5.5h-9a.5.5 0 0 1-.5-.5V11a2 2 0 0 0-4 0z"/><path d="M5 18v2"/><path d="M19 18v2"/></svg>);
+const CalendarIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><rect width="18" height="18" x="3" y="4" rx="2" ry="2"/><line x1="16" x2="16" y1="2" y2="6"/><line x1="8" x2="8" y1="2" y2="6"/><line x1="3" x2="21" y1="10" y2="10"/></svg>);
+const ChartIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>);
 const SparklesIcon=({className})=>(<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="m12 3-1.9 3.9-3.9 1.9 3.9 1.9 1.9 3.9 1.9-3.9 3.9-1.9-3.9-1.9Z"/><path d="M22 12a10 10 0 1 1-20 0 10 10 0 0 1 20 0Z"/></svg>);
 
 // --- The rest of the components remain the same as the previous version ---
 const AlertModal = ({ title, message, onClose }) => ( <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in"><div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-sm text-center"><h3 className="text-xl font-bold font-headline mb-4 text-white">{title || 'Alert'}</h3><p className="text-gray-300 mb-6">{message}</p><button onClick={onClose} className="w-full py-2 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime">OK</button></div></div>);
 const ConfirmModal = ({ title, message, onConfirm, onCancel, confirmText = 'Confirm' }) => (<div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in"><div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-sm text-center"><h3 className="text-xl font-bold font-headline mb-4 text-white">{title || 'Confirm'}</h3><p className="text-gray-300 mb-6">{message}</p><div className="flex gap-4"><button onClick={onCancel} className="w-full py-2 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Cancel</button><button onClick={onConfirm} className="w-full py-2 bg-red-600 text-white rounded-lg font-bold hover:bg-red-500">{confirmText}</button></div></div></div>);
 const StyleIdeasModal = ({ serviceName, onClose }) => { const [ideas, setIdeas] = useState(''); const [isLoading, setIsLoading] = useState(true); useEffect(() => { const fetchIdeas = async () => { setIsLoading(true); const prompt = `I'm waiting at a salon to get a "${serviceName}". Give me 3 creative and trendy style ideas or hair care tips related to this service. Keep it concise and exciting. Format it with titles and short descriptions.`; const result = await callGeminiAPI(prompt); setIdeas(result); setIsLoading(false); }; fetchIdeas(); }, [serviceName]); return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in"><div className="bg-[#1A1A1A] border border-[#7B2CF6] rounded-2xl p-8 w-full max-w-lg max-h-[90vh] overflow-y-auto"><div className="flex justify-between items-center mb-4"><h3 className="text-2xl font-headline text-glow-lime flex items-center gap-2">✨ Style & Care Ideas</h3><button onClick={onClose} className="text-gray-500 hover:text-white">&times;</button></div>{isLoading ? (<div className="flex justify-center items-center h-48"><LoadingSpinner /></div>) : (<div className="gemini-response text-gray-300">{ideas}</div>)}</div></div>);};
-const LoginPage = ({ navigate }) => { const { auth } = useContext(AppContext); const [mode, setMode] = useState('select'); const [phoneNumber, setPhoneNumber] = useState(''); const [otp, setOtp] = useState(''); const [confirmationResult, setConfirmationResult] = useState(null); const [error, setError] = useState(''); const recaptchaVerifier = useRef(null); const setupRecaptcha = () => { if (auth && !recaptchaVerifier.current) { recaptchaVerifier.current = new RecaptchaVerifier(auth, 'recaptcha-container', { 'size': 'invisible', 'callback': () => {}, }); } }; useEffect(() => { if(auth) setupRecaptcha(); }, [auth]); const handleGoogleLogin = async () => { const provider = new GoogleAuthProvider(); try { await signInWithPopup(auth, provider); navigate('/services'); } catch (err) { setError(err.message); console.error("Google login error:", err); } }; const handlePhoneLogin = async (e) => { e.preventDefault(); setError(''); try { const result = await signInWithPhoneNumber(auth, `+91${phoneNumber}`, recaptchaVerifier.current); setConfirmationResult(result); setMode('otp'); } catch (err) { setError('Failed to send OTP. Make sure reCAPTCHA can load and the number is correct.'); console.error("Phone login error:", err); } }; const handleOtpSubmit = async (e) => { e.preventDefault(); setError(''); if (!confirmationResult) { setError("Something went wrong. Please try sending OTP again."); return; } try { await confirmationResult.confirm(otp); navigate('/services'); } catch (err) { setError('Invalid OTP. Please try again.'); console.error("OTP verification error:", err); } }; return ( <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-grid-[#1A1A1A]"><div id="recaptcha-container"></div><div className="w-full max-w-md p-8 space-y-8 bg-[#1A1A1A] border border-gray-800 rounded-3xl shadow-2xl shadow-[#7B2CF6]/10"><div className="text-center"><h1 className="text-5xl uppercase font-headline text-glow-lime">Salon Q</h1><p className="mt-2 text-gray-400">Your Modern Queue Solution</p></div>{error && <p className="text-red-500 text-center text-sm">{error}</p>}{mode === 'select' && ( <div className="space-y-4"><button onClick={handleGoogleLogin} className="w-full flex items-center justify-center gap-3 py-3 px-4 bg-white text-black rounded-xl font-bold hover:bg-gray-200 transition-all duration-300"><svg className="w-6 h-6" viewBox="0 0 48 48"><path fill="#FFC107" d="M43.611 20.083H42V20H24v8h11.303c-1.649 4.657-6.08 8-11.303 8c-6.627 0-12-5.373-12-12s5.373-12 12-12c3.059 0 5.842 1.154 7.961 3.039l5.657-5.657C34.046 6.053 29.268 4 24 4C12.955 4 4 12.955 4 24s8.955 20 20 20s20-8.955 20-20c0-1.341-.138-2.65-.389-3.917z"></path><path fill="#FF3D00" d="M6.306 14.691l6.571 4.819C14.655 15.108 18.961 12 24 12c3.059 0 5.842 1.154 7.961 3.039l5.657-5.657C34.046 6.053 29.268 4 24 4C16.318 4 9.656 8.337 6.306 14.691z"></path><path fill="#4CAF50" d="M24 44c5.166 0 9.86-1.977 13.409-5.192l-6.19-5.238C29.211 35.091 26.715 36 24 36c-5.202 0-9.619-3.317-11.283-7.946l-6.522 5.025C9.505 39.556 16.227 44 24 44z"></path><path fill="#1976D2" d="M43.611 20.083H42V20H24v8h11.303c-.792 2.237-2.231 4.166-4.087 5.571l6.19 5.238C42.012 36.417 44 30.836 44 24c0-1.341-.138-2.65-.389-3.917z"></path></svg>Sign in with Google</button><button onClick={() => setMode('phone')} className="w-full flex items-center justify-center gap-3 py-3 px-4 bg-[#0077FF] text-white rounded-xl font-bold hover:bg-[#005ECC] transition-all duration-300"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-6 h-6"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path></svg>Sign in with Mobile</button><button onClick={() => navigate('/kiosk')} className="w-full text-center text-sm text-gray-400 hover:text-[#D7FC00] pt-4">Continue to Kiosk Mode</button></div> )}{mode === 'phone' && ( <form onSubmit={handlePhoneLogin} className="space-y-6"><div className="relative"><div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none text-gray-400">+91</div><input type="tel" value={phoneNumber} onChange={(e) => setPhoneNumber(e.target.value)} placeholder="Enter 10-digit mobile number" className="w-full pl-12 pr-3 py-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required /></div><button type="submit" className="w-full py-3 px-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300">Send OTP</button><button onClick={() => setMode('select')} className="w-full text-center text-sm text-gray-400 hover:text-white">Back</button></form> )}{mode === 'otp' && ( <form onSubmit={handleOtpSubmit} className="space-y-6"><p className="text-center text-gray-300">Enter OTP sent to +91 {phoneNumber}</p><input type="text" value={otp} onChange={(e) => setOtp(e.target.value)} placeholder="6-digit OTP" className="w-full text-center tracking-[0.5em] py-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required /><button type="submit" className="w-full py-3 px-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300">Verify OTP</button><button onClick={() => { setMode('phone'); setOtp(''); setError(''); }} className="w-full text-center text-sm text-gray-400 hover:text-white">Change Number</button></form> )}</div></div> ); };
-const ServiceCard = ({ service, onJoinQueue }) => (<div className="bg-[#1A1A1A] border border-gray-800 rounded-3xl p-6 flex flex-col items-start space-y-4 transform hover:-translate-y-2 transition-transform duration-300 group"><div className="w-12 h-12 bg-[#7B2CF6]/10 border-2 border-[#7B2CF6] rounded-xl flex items-center justify-center"><ScissorsIcon className="w-6 h-6 text-[#7B2CF6]" /></div><h3 className="text-2xl font-bold font-headline uppercase tracking-wider text-white">{service.name}</h3><div className="flex items-center space-x-4 text-gray-400"><div className="flex items-center space-x-2"><ClockIcon className="w-5 h-5"/><span>{service.duration} mins</span></div><div className="flex items-center space-x-2"><RupeeIcon className="w-5 h-5"/><span>{service.price}</span></div></div><p className="text-gray-500 flex-grow">{service.description || "A high-quality service by our expert stylists."}</p><button onClick={() => onJoinQueue(service)} className="w-full mt-auto py-3 px-4 bg-transparent border-2 border-[#D7FC00] text-[#D7FC00] rounded-xl font-bold uppercase tracking-wider group-hover:bg-[#D7FC00] group-hover:text-black group-hover:glow-lime transition-all duration-300">Join Queue</button></div>);
-const ServiceSelectionPage = ({ navigate }) => { const [services, setServices] = useState([]); const { user, db, auth } = useContext(AppContext); const [alertInfo, setAlertInfo] = useState({ show: false, message: '' }); useEffect(() => { if (!db) return; const q = query(collection(db, "services")); const unsubscribe = onSnapshot(q, (querySnapshot) => { const servicesData = []; querySnapshot.forEach((doc) => { servicesData.push({ id: doc.id, ...doc.data() }); }); setServices(servicesData); }); return () => unsubscribe(); }, [db]); const handleJoinQueue = async (service) => { if (!user || !db) return; const q = query(collection(db, "queue"), where("userId", "==", user.uid), where("status", "in", ["waiting", "in-service"])); const existingQueueSnapshot = await getDocs(q); if (!existingQueueSnapshot.empty) { setAlertInfo({ show: true, message: "You are already in the queue." }); return; } const queueCollection = collection(db, "queue"); const allQueueSnapshot = await getDocs(query(queueCollection, where("status", "in", ["waiting", "in-service"]))); const queueNumber = allQueueSnapshot.size + 1; await addDoc(queueCollection, { userId: user.uid, userName: user.displayName || user.phoneNumber, userPhone: user.phoneNumber, serviceId: service.id, serviceName: service.name, serviceDuration: service.duration, status: "waiting", queueNumber: queueNumber, createdAt: serverTimestamp() }); navigate('/queue-status'); }; const closeAlert = () => { setAlertInfo({ show: false, message: '' }); navigate('/queue-status'); }; return (<div className="p-4 sm:p-8 max-w-7xl mx-auto">{alertInfo.show && <AlertModal title="Already in Queue" message={alertInfo.message} onClose={closeAlert} />}<header className="flex justify-between items-center mb-8"><h1 className="text-4xl sm:text-6xl font-headline uppercase text-glow-lime">Select a Service</h1><button onClick={() => signOut(auth)} className="flex items-center gap-2 text-gray-400 hover:text-white"><LogoutIcon className="w-5 h-5" /> Logout</button></header><div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">{services.length > 0 ? services.map(service => (<ServiceCard key={service.id} service={service} onJoinQueue={handleJoinQueue} />)) : <p>Loading services...</p>}</div></div>); };
-const QueueStatusPage = ({ navigate }) => { const { user, db } = useContext(AppContext); const [queueEntry, setQueueEntry] = useState(null); const [queuePosition, setQueuePosition] = useState(0); const [estimatedWait, setEstimatedWait] = useState(0); const [showStyleIdeas, setShowStyleIdeas] = useState(false); useEffect(() => { if (!user || !db) return; const q = query(collection(db, "queue"), where("userId", "==", user.uid), where("status", "in", ["waiting", "in-service"]), limit(1)); const unsubscribe = onSnapshot(q, (snapshot) => { if (!snapshot.empty) { const entry = { id: snapshot.docs[0].id, ...snapshot.docs[0].data() }; setQueueEntry(entry); } else { setQueueEntry(null); navigate('/services'); } }); return () => unsubscribe(); }, [user, db, navigate]); useEffect(() => { if (!user || !db) return; const q = query(collection(db, "queue"), where("status", "in", ["waiting", "in-service"]), orderBy("createdAt")); const unsubscribe = onSnapshot(q, (snapshot) => { let position = 0; let waitTime = 0; let found = false; snapshot.docs.forEach((doc, index) => { const data = doc.data(); if (data.userId === user?.uid) { position = index + 1; found = true; } if (!found && data.status === 'waiting') { waitTime += data.serviceDuration; } }); setQueuePosition(position); setEstimatedWait(waitTime); }); return () => unsubscribe(); }, [user, db]); if (!queueEntry) { return (<div className="flex flex-col items-center justify-center min-h-screen text-center p-4"><h2 className="text-2xl text-gray-400">You are not in the queue.</h2><button onClick={() => navigate('/services')} className="mt-4 py-3 px-6 bg-[#D7FC00] text-black rounded-xl font-bold uppercase">Join a Queue</button></div>); } if (queueEntry.status === 'in-service') { return (<div className="flex flex-col items-center justify-center min-h-screen text-center p-4 animate-fade-in"><div className="bg-[#1A1A1A] border-2 border-[#D7FC00] rounded-3xl p-8 sm:p-12 w-full max-w-lg glow-lime"><p className="text-xl text-gray-300 mb-2">It's your turn!</p><h2 className="text-4xl sm:text-6xl font-bold font-headline uppercase text-white mb-4">You are now in service</h2><p className="text-2xl font-bold text-[#D7FC00]">{queueEntry.serviceName}</p></div></div>) } return (<div className="flex flex-col items-center justify-center min-h-screen text-center p-4 animate-fade-in">{showStyleIdeas && <StyleIdeasModal serviceName={queueEntry.serviceName} onClose={() => setShowStyleIdeas(false)} />}<div className="bg-[#1A1A1A] border border-gray-800 rounded-3xl p-8 sm:p-12 w-full max-w-lg"><p className="text-2xl text-gray-300 mb-2">Your Position in Queue</p><h2 className="text-8xl sm:text-9xl font-bold font-headline text-[#D7FC00] text-glow-lime">{queuePosition}</h2><div className="my-8"><p className="text-xl text-gray-300 mb-2">Estimated Wait Time</p><h3 className="text-5xl font-bold text-white">{estimatedWait} mins</h3></div><div className="w-full bg-gray-700 rounded-full h-4 my-8"><div className="bg-[#D7FC00] h-4 rounded-full transition-all duration-500" style={{ width: `${Math.max(0, 100 - ((queuePosition -1) * 25))}%` }}></div></div><p className="text-gray-400">You will receive a WhatsApp notification when it's your turn.</p><button onClick={() => setShowStyleIdeas(true)} className="mt-6 w-full py-3 px-4 bg-transparent border-2 border-[#7B2CF6] text-[#7B2CF6] rounded-xl font-bold uppercase tracking-wider hover:bg-[#7B2CF6] hover:text-white transition-all duration-300 flex items-center justify-center gap-2"><SparklesIcon className="w-5 h-5" />Get Style Ideas</button><button onClick={() => navigate('/services')} className="mt-8 text-sm text-gray-500 hover:text-white">Back to services</button></div></div>); };
-const DashboardLayout = ({ navigate, route }) => { const { userData, auth } = useContext(AppContext); const handleLogout = async () => { await signOut(auth); navigate('/login'); }; const navItems = [ { path: '/dashboard/queue', label: 'Queue', icon: QueueIcon }, { path: '/dashboard/services', label: 'Services', icon: ScissorsIcon }, { path: '/dashboard/customers', label: 'Customers', icon: UserIcon }, ]; if (userData?.role === 'owner') { navItems.push({ path: '/dashboard/settings', label: 'Settings', icon: SettingsIcon }); } const renderPage = () => { if (route.startsWith('/dashboard/queue')) return <QueueManagementPage />; if (route.startsWith('/dashboard/services')) return <ServiceManagementPage />; if (route.startsWith('/dashboard/customers')) return <CustomerListPage />; if (route.startsWith('/dashboard/settings') && userData?.role === 'owner') return <SettingsPage />; return <QueueManagementPage />; }; return (<div className="flex h-screen bg-[#111111]"><aside className="w-20 lg:w-64 bg-[#1A1A1A] p-2 lg:p-4 flex flex-col border-r border-gray-800"><div className="text-center mb-10 hidden lg:block"><h1 className="text-4xl font-headline text-glow-lime">Salon Q</h1><p className="text-xs text-gray-500">DASHBOARD</p></div><nav className="flex-grow space-y-2">{navItems.map(item => (<button key={item.path} onClick={() => navigate(item.path)} className={`w-full flex items-center gap-4 p-3 rounded-lg transition-colors duration-200 ${ route.startsWith(item.path) ? 'bg-[#7B2CF6] text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white' }`}><item.icon className="w-6 h-6 flex-shrink-0" /><span className="hidden lg:inline font-bold">{item.label}</span></button>))}</nav><div className="mt-auto"><button onClick={handleLogout} className="w-full flex items-center gap-4 p-3 rounded-lg text-gray-400 hover:bg-red-500/20 hover:text-red-400 transition-colors duration-200"><LogoutIcon className="w-6 h-6 flex-shrink-0" /><span className="hidden lg:inline font-bold">Logout</span></button></div></aside><main className="flex-1 p-4 sm:p-8 overflow-y-auto">{renderPage()}</main></div>); };
-const QueueManagementPage = () => { const [queue, setQueue] = useState([]); const [confirmingDelete, setConfirmingDelete] = useState(null); const { db } = useContext(AppContext); useEffect(() => { if (!db) return; const q = query(collection(db, "queue"), where("status", "in", ["waiting", "in-service"]), orderBy("createdAt")); const unsubscribe = onSnapshot(q, (snapshot) => { setQueue(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))); }); return () => unsubscribe(); }, [db]); const handleAction = async (id, newStatus) => { const docRef = doc(db, "queue", id); await updateDoc(docRef, { status: newStatus }); }; const handleRemoveRequest = (id) => { setConfirmingDelete(id); }; const executeRemove = async () => { if (confirmingDelete) { await deleteDoc(doc(db, "queue", confirmingDelete)); setConfirmingDelete(null); } }; const getStatusChip = (status) => { switch (status) { case 'waiting': return <span className="px-3 py-1 text-xs font-bold text-yellow-300 bg-yellow-900/50 rounded-full">Waiting</span>; case 'in-service': return <span className="px-3 py-1 text-xs font-bold text-lime-300 bg-lime-900/50 rounded-full">In Service</span>; default: return <span className="px-3 py-1 text-xs font-bold text-gray-300 bg-gray-700 rounded-full">Unknown</span>; } }; return ( <div className="animate-fade-in">{confirmingDelete && (<ConfirmModal title="Confirm Removal" message="Are you sure you want to remove this customer from the queue?" onConfirm={executeRemove} onCancel={() => setConfirmingDelete(null)} confirmText="Remove" />)}<h2 className="text-4xl font-headline mb-6 uppercase">Queue Management</h2><div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl overflow-hidden"><table className="w-full text-left"><thead className="bg-gray-800/50"><tr><th className="p-4 uppercase text-sm text-gray-400">#</th><th className="p-4 uppercase text-sm text-gray-400">Name</th><th className="p-4 uppercase text-sm text-gray-400 hidden md:table-cell">Mobile</th><th className="p-4 uppercase text-sm text-gray-400">Service</th><th className="p-4 uppercase text-sm text-gray-400">Status</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Actions</th></tr></thead><tbody>{queue.map((item, index) => ( <tr key={item.id} className="border-t border-gray-800"><td className="p-4 font-bold text-xl text-[#D7FC00]">{index + 1}</td><td className="p-4 font-medium">{item.userName}</td><td className="p-4 text-gray-400 hidden md:table-cell">{item.userPhone || 'N/A'}</td><td className="p-4 text-gray-300">{item.serviceName}</td><td className="p-4">{getStatusChip(item.status)}</td><td className="p-4"><div className="flex justify-end gap-2">{item.status === 'waiting' && <button onClick={() => handleAction(item.id, 'in-service')} className="px-3 py-1 bg-lime-500 text-black text-xs font-bold rounded-md hover:bg-lime-400">Start</button>}{item.status === 'in-service' && <button onClick={() => handleAction(item.id, 'completed')} className="px-3 py-1 bg-blue-500 text-white text-xs font-bold rounded-md hover:bg-blue-400">Complete</button>}<button onClick={() => handleRemoveRequest(item.id)} className="px-3 py-1 bg-red-500/80 text-white text-xs font-bold rounded-md hover:bg-red-500">Remove</button></div></td></tr> ))}{queue.length === 0 && ( <tr><td colSpan="6" className="text-center p-8 text-gray-500">The queue is empty.</td></tr> )}</tbody></table></div></div> ); };
-const ServiceManagementPage = () => { const [services, setServices] = useState([]); const [showModal, setShowModal] = useState(false); const [editingService, setEditingService] = useState(null); const [confirmingDelete, setConfirmingDelete] = useState(null); const { db } = useContext(AppContext); useEffect(() => { if (!db) return; const q = query(collection(db, "services")); const unsubscribe = onSnapshot(q, (querySnapshot) => { setServices(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))); }); return () => unsubscribe(); }, [db]); const handleOpenModal = (service = null) => { setEditingService(service); setShowModal(true); }; const handleDeleteRequest = (id) => { setConfirmingDelete(id); }; const executeDelete = async () => { if (confirmingDelete) { await deleteDoc(doc(db, "services", confirmingDelete)); setConfirmingDelete(null); } }; return (<div className="animate-fade-in relative">{confirmingDelete && (<ConfirmModal title="Delete Service" message="Are you sure you want to permanently delete this service?" onConfirm={executeDelete} onCancel={() => setConfirmingDelete(null)} confirmText="Delete" />)}<h2 className="text-4xl font-headline mb-6 uppercase">Service Management</h2><div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">{services.map(service => (<div key={service.id} className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-5"><h3 className="text-xl font-bold">{service.name}</h3><p className="text-gray-400 mt-1">{service.duration} mins - ₹{service.price}</p><div className="flex gap-2 mt-4"><button onClick={() => handleOpenModal(service)} className="text-sm flex items-center gap-1 text-blue-400 hover:text-blue-300"><EditIcon className="w-4 h-4" /> Edit</button><button onClick={() => handleDeleteRequest(service.id)} className="text-sm flex items-center gap-1 text-red-400 hover:text-red-300"><TrashIcon className="w-4 h-4"/> Delete</button></div></div>))}</div><button onClick={() => handleOpenModal()} className="fixed bottom-8 right-8 w-16 h-16 bg-[#D7FC00] text-black rounded-full flex items-center justify-center shadow-lg hover:glow-lime transition-all duration-300"><PlusIcon className="w-8 h-8"/></button>{showModal && <ServiceModal service={editingService} onClose={() => setShowModal(false)} />}</div>); };
-const ServiceModal = ({ service, onClose }) => { const { db } = useContext(AppContext); const [name, setName] = useState(service?.name || ''); const [price, setPrice] = useState(service?.price || ''); const [duration, setDuration] = useState(service?.duration || ''); const [description, setDescription] = useState(service?.description || ''); const [isGenerating, setIsGenerating] = useState(false); const handleSubmit = async (e) => { e.preventDefault(); const serviceData = { name, price: Number(price), duration: Number(duration), description }; if(service?.id) { await updateDoc(doc(db, "services", service.id), serviceData); } else { await addDoc(collection(db, "services"), serviceData); } onClose(); }; const handleGenerateDescription = async () => { if (!name || !price || !duration) { alert("Please fill in Name, Price, and Duration first."); return; } setIsGenerating(true); const prompt = `Write a short, exciting, and professional salon service description for a service named "${name}". It costs ₹${price} and takes ${duration} minutes. Make it appealing to customers looking for high-quality service.`; const generatedDesc = await callGeminiAPI(prompt); setDescription(generatedDesc); setIsGenerating(false); }; return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in"><div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-md"><h3 className="text-2xl font-headline mb-6">{service ? 'Edit Service' : 'Add New Service'}</h3><form onSubmit={handleSubmit} className="space-y-4"><input type="text" placeholder="Service Name" value={name} onChange={e => setName(e.target.value)} required className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" /><input type="number" placeholder="Price (₹)" value={price} onChange={e => setPrice(e.t
+const LoginPage = ({ navigate }) => { const { auth, settings } = useContext(AppContext); const [mode, setMode] = useState('select'); const [phoneNumber, setPhoneNumber] = useState(''); const [otp, setOtp] = useState(''); const [confirmationResult, setConfirmationResult] = useState(null); const [error, setError] = useState(''); const recaptchaVerifier = useRef(null); const setupRecaptcha = () => { if (auth && !recaptchaVerifier.current) { recaptchaVerifier.current = new RecaptchaVerifier(auth, 'recaptcha-container', { 'size': 'invisible', 'callback': () => {}, }); } }; useEffect(() => { if(auth) setupRecaptcha(); }, [auth]); const handleGoogleLogin = async () => { const provider = new GoogleAuthProvider(); try { await signInWithPopup(auth, provider); navigate('/services'); } catch (err) { setError(err.message); console.error("Google login error:", err); } }; const handlePhoneLogin = async (e) => { e.preventDefault(); setError(''); try { const result = await signInWithPhoneNumber(auth, `+91${phoneNumber}`, recaptchaVerifier.current); setConfirmationResult(result); setMode('otp'); } catch (err) { setError('Failed to send OTP. Make sure reCAPTCHA can load and the number is correct.'); console.error("Phone login error:", err); } }; const handleOtpSubmit = async (e) => { e.preventDefault(); setError(''); if (!confirmationResult) { setError("Something went wrong. Please try sending OTP again."); return; } try { await confirmationResult.confirm(otp); navigate('/services'); } catch (err) { setError('Invalid OTP. Please try again.'); console.error("OTP verification error:", err); } }; return ( <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-grid-[#1A1A1A]"><div id="recaptcha-container"></div><div className="w-full max-w-md p-8 space-y-8 bg-[#1A1A1A] border border-gray-800 rounded-3xl shadow-2xl shadow-[#7B2CF6]/10"><div className="text-center"><h1 className="text-5xl uppercase font-headline text-glow-lime">{settings.salonName}</h1><p className="mt-2 text-gray-400">{settings.tagline}</p></div>{error && <p className="text-red-500 text-center text-sm">{error}</p>}{mode === 'select' && ( <div className="space-y-4"><button onClick={handleGoogleLogin} className="w-full flex items-center justify-center gap-3 py-3 px-4 bg-white text-black rounded-xl font-bold hover:bg-gray-200 transition-all duration-300"><svg className="w-6 h-6" viewBox="0 0 48 48"><path fill="#FFC107" d="M43.611 20.083H42V20H24v8h11.303c-1.649 4.657-6.08 8-11.303 8c-6.627 0-12-5.373-12-12s5.373-12 12-12c3.059 0 5.842 1.154 7.961 3.039l5.657-5.657C34.046 6.053 29.268 4 24 4C12.955 4 4 12.955 4 24s8.955 20 20 20s20-8.955 20-20c0-1.341-.138-2.65-.389-3.917z"></path><path fill="#FF3D00" d="M6.306 14.691l6.571 4.819C14.655 15.108 18.961 12 24 12c3.059 0 5.842 1.154 7.961 3.039l5.657-5.657C34.046 6.053 29.268 4 24 4C16.318 4 9.656 8.337 6.306 14.691z"></path><path fill="#4CAF50" d="M24 44c5.166 0 9.86-1.977 13.409-5.192l-6.19-5.238C29.211 35.091 26.715 36 24 36c-5.202 0-9.619-3.317-11.283-7.946l-6.522 5.025C9.505 39.556 16.227 44 24 44z"></path><path fill="#1976D2" d="M43.611 20.083H42V20H24v8h11.303c-.792 2.237-2.231 4.166-4.087 5.571l6.19 5.238C42.012 36.417 44 30.836 44 24c0-1.341-.138-2.65-.389-3.917z"></path></svg>Sign in with Google</button><button onClick={() => setMode('phone')} className="w-full flex items-center justify-center gap-3 py-3 px-4 bg-[#0077FF] text-white rounded-xl font-bold hover:bg-[#005ECC] transition-all duration-300"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-6 h-6"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path></svg>Sign in with Mobile</button><button onClick={() => navigate('/kiosk')} className="w-full text-center text-sm text-gray-400 hover:text-[#D7FC00] pt-4">Continue to Kiosk Mode</button></div> )}{mode === 'phone' && ( <form onSubmit={handlePhoneLogin} className="space-y-6"><div className="relative"><div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none text-gray-400">+91</div><input type="tel" value={phoneNumber} onChange={(e) => setPhoneNumber(e.target.value)} placeholder="Enter 10-digit mobile number" className="w-full pl-12 pr-3 py-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required /></div><button type="submit" className="w-full py-3 px-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300">Send OTP</button><button onClick={() => setMode('select')} className="w-full text-center text-sm text-gray-400 hover:text-white">Back</button></form> )}{mode === 'otp' && ( <form onSubmit={handleOtpSubmit} className="space-y-6"><p className="text-center text-gray-300">Enter OTP sent to +91 {phoneNumber}</p><input type="text" value={otp} onChange={(e) => setOtp(e.target.value)} placeholder="6-digit OTP" className="w-full text-center tracking-[0.5em] py-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required /><button type="submit" className="w-full py-3 px-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300">Verify OTP</button><button onClick={() => { setMode('phone'); setOtp(''); setError(''); }} className="w-full text-center text-sm text-gray-400 hover:text-white">Change Number</button></form> )}</div></div> ); };
+const ServiceCard = ({ service, onJoinQueue, onBook }) => (<div className="bg-[#1A1A1A] border border-gray-800 rounded-3xl p-6 flex flex-col items-start space-y-4 transform hover:-translate-y-2 transition-transform duration-300 group"><div className="w-12 h-12 bg-[#7B2CF6]/10 border-2 border-[#7B2CF6] rounded-xl flex items-center justify-center"><ScissorsIcon className="w-6 h-6 text-[#7B2CF6]" /></div><h3 className="text-2xl font-bold font-headline uppercase tracking-wider text-white">{service.name}</h3><div className="flex items-center space-x-4 text-gray-400"><div className="flex items-center space-x-2"><ClockIcon className="w-5 h-5"/><span>{service.duration} mins</span></div><div className="flex items-center space-x-2"><RupeeIcon className="w-5 h-5"/><span>{service.price}</span></div></div><p className="text-gray-500 flex-grow">{service.description || "A high-quality service by our expert stylists."}</p><button onClick={() => onJoinQueue(service)} className="w-full mt-auto py-3 px-4 bg-transparent border-2 border-[#D7FC00] text-[#D7FC00] rounded-xl font-bold uppercase tracking-wider group-hover:bg-[#D7FC00] group-hover:text-black group-hover:glow-lime transition-all duration-300">Join Queue</button>{onBook && <button onClick={() => onBook(service)} className="w-full py-2 text-sm text-gray-400 font-bold uppercase tracking-wider hover:text-[#7B2CF6] transition-colors duration-300">Book a Time</button>}</div>);
+const ServiceSelectionPage = ({ navigate }) => {
+    const [services, setServices] = useState([]);
+    const { user, db, auth, settings, showToast } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const [preferredStylistId, setPreferredStylistId] = useState('any');
+    const [alertInfo, setAlertInfo] = useState({ show: false, title: '', message: '' });
+
+    useEffect(() => {
+        if (!db) return;
+        const q = query(collection(db, "services"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            const servicesData = [];
+            querySnapshot.forEach((doc) => { servicesData.push({ id: doc.id, ...doc.data() }); });
+            setServices(servicesData);
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const handleJoinQueue = async (service) => {
+        if (!user || !db) return;
+        let result;
+        try {
+            result = await joinQueue(db, {
+                userId: user.uid,
+                userName: user.displayName || user.phoneNumber,
+                userPhone: user.phoneNumber,
+                service,
+                preferredStylist: stylists.find(stylist => stylist.id === preferredStylistId),
+            });
+        } catch (err) {
+            console.error("Join queue error:", err);
+            showToast(getErrorMessage(err, 'Could not join the queue. Please try again.'));
+            return;
+        }
+        const { alreadyQueued, blockedReason } = result;
+        if (blockedReason) {
+            setAlertInfo({ show: true, title: 'Queue Closed', message: blockedReason });
+            return;
+        }
+        if (alreadyQueued) {
+            setAlertInfo({ show: true, title: 'Already in Queue', message: "You are already in the queue." });
+            return;
+        }
+        navigate('/queue-status');
+    };
+
+    const closeAlert = () => {
+        const wasAlreadyQueued = alertInfo.title === 'Already in Queue';
+        setAlertInfo({ show: false, title: '', message: '' });
+        if (wasAlreadyQueued) navigate('/queue-status');
+    };
+
+    const closedReason = getQueueClosedReason(settings);
+
+    return (
+        <div className="p-4 sm:p-8 max-w-7xl mx-auto">
+            {alertInfo.show && <AlertModal title={alertInfo.title} message={alertInfo.message} onClose={closeAlert} />}
+            <header className="flex justify-between items-center mb-8">
+                <h1 className="text-4xl sm:text-6xl font-headline uppercase text-glow-lime">Select a Service</h1>
+                <div className="flex items-center gap-6">
+                    <button onClick={() => navigate('/book')} className="flex items-center gap-2 text-gray-400 hover:text-white"><CalendarIcon className="w-5 h-5" /> My Bookings</button>
+                    <button onClick={() => signOut(auth)} className="flex items-center gap-2 text-gray-400 hover:text-white"><LogoutIcon className="w-5 h-5" /> Logout</button>
+                </div>
+            </header>
+            {closedReason && <p className="mb-8 p-4 text-center text-yellow-300 bg-yellow-900/40 border border-yellow-700 rounded-xl">{closedReason}</p>}
+            <StylistPicker stylists={stylists} value={preferredStylistId} onChange={setPreferredStylistId} className="mb-8 max-w-xs" />
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {services.length > 0 ? services.map(service => (<ServiceCard key={service.id} service={service} onJoinQueue={handleJoinQueue} onBook={() => navigate(`/book/${service.id}`)} />)) : <p>Loading services...</p>}
+            </div>
+        </div>
+    );
+};
+// How long after checkout the customer's queue page keeps showing the receipt.
+const RECEIPT_VISIBLE_MS = 60 * 60 * 1000;
+
+const QueueStatusPage = ({ navigate }) => {
+    const { user, db, settings, showToast } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const todayKey = getDayKey();
+    const bookedSlots = useBookingDay(db, todayKey);
+    const measuredDurations = useMeasuredDurations(db, settings.estimateFromMeasuredTimes);
+    const [queueEntry, setQueueEntry] = useState(null);
+    const [queue, setQueue] = useState([]);
+    const [now, setNow] = useState(Date.now());
+    const [showStyleIdeas, setShowStyleIdeas] = useState(false);
+    const [confirmingLeave, setConfirmingLeave] = useState(false);
+    const [receipt, setReceipt] = useState(null);
+
+    useEffect(() => {
+        if (!user || !db) return;
+        let cancelled = false;
+        const q = query(collection(db, "queue"), where("userId", "==", user.uid), where("status", "in", ["waiting", "in-service"]), limit(1));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            if (!snapshot.empty) {
+                setQueueEntry({ id: snapshot.docs[0].id, ...snapshot.docs[0].data() });
+            } else if (!snapshot.metadata.fromCache) {
+                // An empty answer from the local cache can predate a join that
+                // just went through, so only the server's word counts.
+                setQueueEntry(null);
+                showReceiptOrLeave();
+            }
+        });
+        // Once service is done, show the invoice staff just saved instead of
+        // bouncing back to services, also after a reload or on another device.
+        const showReceiptOrLeave = async () => {
+            try {
+                const latestSnap = await getDocs(query(collection(db, "queue"), where("userId", "==", user.uid), orderBy("createdAt", "desc"), limit(1)));
+                const latest = latestSnap.docs[0]?.data();
+                // Still active: the listener above has just not caught up yet.
+                if (cancelled || ['waiting', 'in-service'].includes(latest?.status)) return;
+                const completedAt = toMillis(latest?.completedAt);
+                if (latest?.status === 'completed' && latest.invoiceId && completedAt && Date.now() - completedAt < RECEIPT_VISIBLE_MS) {
+                    const invoiceSnap = await getDoc(doc(db, "invoices", latest.invoiceId));
+                    if (cancelled) return;
+                    if (invoiceSnap.exists()) {
+                        setReceipt({ id: invoiceSnap.id, ...invoiceSnap.data() });
+                        return;
+                    }
+                }
+            } catch (err) {
+                console.error("Receipt lookup failed:", err);
+                if (!cancelled) showToast(getErrorMessage(err, 'Could not load your receipt.'));
+            }
+            if (!cancelled) navigate('/services');
+        };
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [user, db, navigate, showToast]);
+
+    useEffect(() => {
+        if (!user || !db) return;
+        const q = query(collection(db, "queuePublic"), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setQueue(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [user, db]);
+
+    // In-service customers finish over time, so the estimate is refreshed even without queue changes.
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    if (receipt) {
+        return (
+            <div className="flex flex-col items-center justify-center min-h-screen p-4 animate-fade-in">
+                <p className="text-2xl font-headline uppercase text-glow-lime mb-4">Thanks for visiting!</p>
+                <Receipt invoice={receipt} />
+                <button onClick={() => navigate('/services')} className="mt-6 py-3 px-6 bg-[#D7FC00] text-black rounded-xl font-bold uppercase">Done</button>
+            </div>
+        );
+    }
+
+    if (!queueEntry) {
+        return (<div className="flex flex-col items-center justify-center min-h-screen text-center p-4"><h2 className="text-2xl text-gray-400">You are not in the queue.</h2><button onClick={() => navigate('/services')} className="mt-4 py-3 px-6 bg-[#D7FC00] text-black rounded-xl font-bold uppercase">Join a Queue</button></div>);
+    }
+
+    if (queueEntry.status === 'in-service') {
+        return (<div className="flex flex-col items-center justify-center min-h-screen text-center p-4 animate-fade-in"><div className="bg-[#1A1A1A] border-2 border-[#D7FC00] rounded-3xl p-8 sm:p-12 w-full max-w-lg glow-lime"><p className="text-xl text-gray-300 mb-2">It's your turn!</p><h2 className="text-4xl sm:text-6xl font-bold font-headline uppercase text-white mb-4">You are now in service</h2><p className="text-2xl font-bold text-[#D7FC00]">{queueEntry.serviceName}</p>{queueEntry.stylistName && <p className="mt-2 text-gray-400">with {queueEntry.stylistName}</p>}</div></div>);
+    }
+
+    const handleLeaveQueue = () => {
+        const batch = writeBatch(db);
+        closeQueueEntry(batch, db, queueEntry, { status: 'cancelled', cancelledAt: serverTimestamp() });
+        trackWrite(batch.commit(), 'Could not leave the queue. Please try again.');
+        setConfirmingLeave(false);
+    };
+
+    const queuePosition = sortQueue(queue).findIndex(item => item.id === queueEntry.id) + 1;
+    const estimate = estimateWaitTimes(queue, stylists, now, slotsToReservations(todayKey, bookedSlots), measuredDurations)[queueEntry.id];
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen text-center p-4 animate-fade-in">
+            {showStyleIdeas && <StyleIdeasModal serviceName={queueEntry.serviceName} onClose={() => setShowStyleIdeas(false)} />}
+            {confirmingLeave && (<ConfirmModal title="Leave Queue" message="Are you sure you want to give up your place in the queue?" onConfirm={handleLeaveQueue} onCancel={() => setConfirmingLeave(false)} confirmText="Leave" />)}
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-3xl p-8 sm:p-12 w-full max-w-lg">
+                <p className="text-2xl text-gray-300 mb-2">Your Position in Queue</p>
+                <h2 className="text-8xl sm:text-9xl font-bold font-headline text-[#D7FC00] text-glow-lime">{queuePosition}</h2>
+                <div className="my-8">
+                    <p className="text-xl text-gray-300 mb-2">Estimated Wait Time</p>
+                    <h3 className="text-5xl font-bold text-white">{estimate ? estimate.minutes : 0} mins</h3>
+                    {estimate?.stylistName && <p className="mt-2 text-lg text-gray-400">Stylist {estimate.stylistName}, about {estimate.minutes} min</p>}
+                </div>
+                <div className="w-full bg-gray-700 rounded-full h-4 my-8"><div className="bg-[#D7FC00] h-4 rounded-full transition-all duration-500" style={{ width: `${Math.max(0, 100 - ((queuePosition - 1) * 25))}%` }}></div></div>
+                <p className="text-gray-400">{queueEntry.userPhone ? "You will receive a WhatsApp notification when you're 2 away and when it's your turn." : 'Sign in with your mobile number to get notified when it\'s your turn.'}</p>
+                <button onClick={() => setShowStyleIdeas(true)} className="mt-6 w-full py-3 px-4 bg-transparent border-2 border-[#7B2CF6] text-[#7B2CF6] rounded-xl font-bold uppercase tracking-wider hover:bg-[#7B2CF6] hover:text-white transition-all duration-300 flex items-center justify-center gap-2"><SparklesIcon className="w-5 h-5" />Get Style Ideas</button>
+                <div className="mt-8 flex justify-center gap-6">
+                    <button onClick={() => navigate('/services')} className="text-sm text-gray-500 hover:text-white">Back to services</button>
+                    <button onClick={() => setConfirmingLeave(true)} className="text-sm text-red-400 hover:text-red-300">Leave queue</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+const DashboardLayout = ({ navigate, route }) => { const { userData, auth, settings } = useContext(AppContext); const handleLogout = async () => { await signOut(auth); navigate('/login'); }; const navItems = [ { path: '/dashboard/queue', label: 'Queue', icon: QueueIcon }, { path: '/dashboard/services', label: 'Services', icon: ScissorsIcon }, { path: '/dashboard/stylists', label: 'Stylists', icon: ChairIcon }, { path: '/dashboard/bookings', label: 'Bookings', icon: CalendarIcon }, { path: '/dashboard/customers', label: 'Customers', icon: UserIcon }, ]; if (userData?.role === 'owner') { navItems.push({ path: '/dashboard/analytics', label: 'Analytics', icon: ChartIcon }, { path: '/dashboard/settings', label: 'Settings', icon: SettingsIcon }); } const renderPage = () => { if (route.startsWith('/dashboard/queue')) return <QueueManagementPage />; if (route.startsWith('/dashboard/services')) return <ServiceManagementPage />; if (route.startsWith('/dashboard/stylists')) return <StylistManagementPage />; if (route.startsWith('/dashboard/bookings')) return <BookingCalendarPage />; if (route.startsWith('/dashboard/customers')) return <CustomerListPage />; if (route.startsWith('/dashboard/analytics') && userData?.role === 'owner') return <AnalyticsPage />; if (route.startsWith('/dashboard/settings') && userData?.role === 'owner') return <SettingsPage />; return <QueueManagementPage />; }; return (<div className="flex h-screen bg-[#111111]"><aside className="w-20 lg:w-64 bg-[#1A1A1A] p-2 lg:p-4 flex flex-col border-r border-gray-800"><div className="text-center mb-10 hidden lg:block"><h1 className="text-4xl font-headline text-glow-lime">{settings.salonName}</h1><p className="text-xs text-gray-500">DASHBOARD</p></div><nav className="flex-grow space-y-2">{navItems.map(item => (<button key={item.path} onClick={() => navigate(item.path)} className={`w-full flex items-center gap-4 p-3 rounded-lg transition-colors duration-200 ${ route.startsWith(item.path) ? 'bg-[#7B2CF6] text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white' }`}><item.icon className="w-6 h-6 flex-shrink-0" /><span className="hidden lg:inline font-bold">{item.label}</span></button>))}</nav><div className="mt-auto"><button onClick={handleLogout} className="w-full flex items-center gap-4 p-3 rounded-lg text-gray-400 hover:bg-red-500/20 hover:text-red-400 transition-colors duration-200"><LogoutIcon className="w-6 h-6 flex-shrink-0" /><span className="hidden lg:inline font-bold">Logout</span></button></div></aside><main className="flex-1 p-4 sm:p-8 overflow-y-auto"><SyncStatusIndicator className="fixed top-4 right-4 z-40" />{renderPage()}</main></div>); };
+const QueueManagementPage = () => {
+    const [queue, setQueue] = useState([]);
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+    const [startingEntry, setStartingEntry] = useState(null);
+    const [checkoutEntry, setCheckoutEntry] = useState(null);
+    const [stylistFilter, setStylistFilter] = useState('all');
+    const { db, settings } = useContext(AppContext);
+    const { isOnline } = useSyncStatus();
+    const stylists = useStylists(db);
+    const todayKey = getDayKey();
+    const bookedSlots = useBookingDay(db, todayKey);
+    const measuredDurations = useMeasuredDurations(db, settings.estimateFromMeasuredTimes);
+
+    useEffect(() => {
+        if (!db) return;
+        const q = query(collection(db, "queue"), where("status", "in", ["waiting", "in-service"]), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setQueue(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    // Start and remove go through trackWrite so they keep working while offline.
+    const handleStart = (entry, stylist = null) => {
+        const changes = {
+            status: 'in-service',
+            stylistId: stylist?.id || null,
+            stylistName: stylist?.name || null,
+            startedAt: serverTimestamp(),
+        };
+        const batch = writeBatch(db);
+        batch.update(doc(db, "queue", entry.id), changes);
+        batch.set(doc(db, "queuePublic", entry.id), toPublicEntry({ ...entry, ...changes }));
+        trackWrite(batch.commit(), `Could not start #${entry.queueNumber} ${entry.userName}.`);
+        setStartingEntry(null);
+    };
+
+    const handleStartRequest = (entry) => {
+        if (stylists.some(stylist => stylist.active !== false)) {
+            setStartingEntry(entry);
+        } else {
+            handleStart(entry);
+        }
+    };
+
+    const handleRemoveRequest = (id) => { setConfirmingDelete(id); };
+
+    // Removed entries are kept (status 'removed') so they count as walk-outs in Analytics.
+    const executeRemove = () => {
+        const entry = queue.find(item => item.id === confirmingDelete);
+        if (entry) {
+            const batch = writeBatch(db);
+            closeQueueEntry(batch, db, entry, { status: 'removed', removedAt: serverTimestamp() });
+            trackWrite(batch.commit(), 'Could not remove the customer from the queue.');
+        }
+        setConfirmingDelete(null);
+    };
+
+    const getStatusChip = (status) => {
+        switch (status) {
+            case 'waiting': return <span className="px-3 py-1 text-xs font-bold text-yellow-300 bg-yellow-900/50 rounded-full">Waiting</span>;
+            case 'in-service': return <span className="px-3 py-1 text-xs font-bold text-lime-300 bg-lime-900/50 rounded-full">In Service</span>;
+            default: return <span className="px-3 py-1 text-xs font-bold text-gray-300 bg-gray-700 rounded-full">Unknown</span>;
+        }
+    };
+
+    const getStylistLabel = (item) => {
+        if (item.status === 'in-service') return item.stylistName || '—';
+        return item.preferredStylistName ? `Prefers ${item.preferredStylistName}` : 'Any';
+    };
+
+    // Each stylist's line: whoever they are serving, then the waiting customers
+    // the wait estimate expects them to take (their own requests, plus "any"
+    // customers they are likely to be free for first).
+    const activeStylists = stylists.filter(stylist => stylist.active !== false);
+    const selectedStylistId = activeStylists.some(stylist => stylist.id === stylistFilter) ? stylistFilter : 'all';
+    const waitTimes = estimateWaitTimes(queue, stylists, Date.now(), slotsToReservations(todayKey, bookedSlots), measuredDurations);
+    const isInLineOf = (item, stylistId) => (item.status === 'in-service' ? item.stylistId === stylistId : waitTimes[item.id]?.stylistId === stylistId);
+    const visibleQueue = sortQueue(queue).filter(item => selectedStylistId === 'all' || isInLineOf(item, selectedStylistId));
+    const filterClass = (selected) => `px-4 py-2 rounded-lg text-sm font-bold ${selected ? 'bg-[#D7FC00] text-black' : 'bg-[#1A1A1A] border border-gray-800 text-gray-300 hover:border-gray-600'}`;
+
+    return (
+        <div className="animate-fade-in">
+            {confirmingDelete && (<ConfirmModal title="Confirm Removal" message="Are you sure you want to remove this customer from the queue?" onConfirm={executeRemove} onCancel={() => setConfirmingDelete(null)} confirmText="Remove" />)}
+            {checkoutEntry && <CheckoutModal entry={checkoutEntry} onClose={() => setCheckoutEntry(null)} />}
+            {startingEntry && <StartServiceModal entry={startingEntry} stylists={stylists} queue={queue} onStart={handleStart} onClose={() => setStartingEntry(null)} />}
+            <h2 className="text-4xl font-headline mb-6 uppercase">Queue Management</h2>
+            {!isOnline && <p className="mb-6 p-3 rounded-lg bg-orange-900/40 text-orange-200 text-sm">You're offline. Starting, completing and removing customers still works and will sync when the connection returns; new joins and bookings need a connection.</p>}
+            {activeStylists.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-6">
+                    <button onClick={() => setStylistFilter('all')} className={filterClass(selectedStylistId === 'all')}>All ({queue.length})</button>
+                    {activeStylists.map(stylist => (
+                        <button key={stylist.id} onClick={() => setStylistFilter(stylist.id)} className={filterClass(selectedStylistId === stylist.id)}>
+                            {stylist.name} ({queue.filter(item => isInLineOf(item, stylist.id)).length})
+                        </button>
+                    ))}
+                </div>
+            )}
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl overflow-hidden">
+                <table className="w-full text-left">
+                    <thead className="bg-gray-800/50"><tr><th className="p-4 uppercase text-sm text-gray-400">#</th><th className="p-4 uppercase text-sm text-gray-400">Name</th><th className="p-4 uppercase text-sm text-gray-400 hidden md:table-cell">Mobile</th><th className="p-4 uppercase text-sm text-gray-400">Service</th><th className="p-4 uppercase text-sm text-gray-400 hidden lg:table-cell">Stylist</th><th className="p-4 uppercase text-sm text-gray-400">Status</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Actions</th></tr></thead>
+                    <tbody>
+                        {visibleQueue.map((item, index) => (
+                            <tr key={item.id} className="border-t border-gray-800">
+                                <td className="p-4 font-bold text-xl text-[#D7FC00]">{index + 1}</td>
+                                <td className="p-4 font-medium">{item.userName}{item.bookingId && <span className="ml-2 px-2 py-0.5 text-xs font-bold text-violet-300 bg-violet-900/50 rounded-full">Booked {formatClockTime(item.scheduledAt)}</span>}</td>
+                                <td className="p-4 text-gray-400 hidden md:table-cell">{item.userPhone || 'N/A'}</td>
+                                <td className="p-4 text-gray-300">{item.serviceName}</td>
+                                <td className="p-4 text-gray-400 hidden lg:table-cell">{getStylistLabel(item)}</td>
+                                <td className="p-4">{getStatusChip(item.status)}</td>
+                                <td className="p-4">
+                                    <div className="flex justify-end gap-2">
+                                        {item.status === 'waiting' && <button onClick={() => handleStartRequest(item)} className="px-3 py-1 bg-lime-500 text-black text-xs font-bold rounded-md hover:bg-lime-400">Start</button>}
+                                        {item.status === 'in-service' && <button onClick={() => setCheckoutEntry(item)} className="px-3 py-1 bg-blue-500 text-white text-xs font-bold rounded-md hover:bg-blue-400">Complete</button>}
+                                        <button onClick={() => handleRemoveRequest(item.id)} className="px-3 py-1 bg-red-500/80 text-white text-xs font-bold rounded-md hover:bg-red-500">Remove</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {visibleQueue.length === 0 && (<tr><td colSpan="7" className="text-center p-8 text-gray-500">{queue.length === 0 ? 'The queue is empty.' : 'Nobody is in this stylist\'s line.'}</td></tr>)}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+const ServiceManagementPage = () => { const [services, setServices] = useState([]); const [showModal, setShowModal] = useState(false); const [editingService, setEditingService] = useState(null); const [confirmingDelete, setConfirmingDelete] = useState(null); const { db, userData } = useContext(AppContext); const canEdit = userData?.role === 'owner'; useEffect(() => { if (!db) return; const q = query(collection(db, "services")); const unsubscribe = onSnapshot(q, (querySnapshot) => { setServices(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))); }); return () => unsubscribe(); }, [db]); const handleOpenModal = (service = null) => { setEditingService(service); setShowModal(true); }; const handleDeleteRequest = (id) => { setConfirmingDelete(id); }; const executeDelete = () => { if (confirmingDelete) { trackWrite(deleteDoc(doc(db, "services", confirmingDelete)), 'Could not delete the service.'); setConfirmingDelete(null); } }; return (<div className="animate-fade-in relative">{confirmingDelete && (<ConfirmModal title="Delete Service" message="Are you sure you want to permanently delete this service?" onConfirm={executeDelete} onCancel={() => setConfirmingDelete(null)} confirmText="Delete" />)}<h2 className="text-4xl font-headline mb-6 uppercase">Service Management</h2><div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">{services.map(service => (<div key={service.id} className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-5"><h3 className="text-xl font-bold">{service.name}</h3><p className="text-gray-400 mt-1">{service.duration} mins - ₹{service.price}</p>{canEdit && <div className="flex gap-2 mt-4"><button onClick={() => handleOpenModal(service)} className="text-sm flex items-center gap-1 text-blue-400 hover:text-blue-300"><EditIcon className="w-4 h-4" /> Edit</button><button onClick={() => handleDeleteRequest(service.id)} className="text-sm flex items-center gap-1 text-red-400 hover:text-red-300"><TrashIcon className="w-4 h-4"/> Delete</button></div>}</div>))}</div>{canEdit && <button onClick={() => handleOpenModal()} className="fixed bottom-8 right-8 w-16 h-16 bg-[#D7FC00] text-black rounded-full flex items-center justify-center shadow-lg hover:glow-lime transition-all duration-300"><PlusIcon className="w-8 h-8"/></button>}{showModal && <ServiceModal service={editingService} onClose={() => setShowModal(false)} />}</div>); };
+const ServiceModal = ({ service, onClose }) => { const { db, showToast } = useContext(AppContext); const [name, setName] = useState(service?.name || ''); const [price, setPrice] = useState(service?.price || ''); const [duration, setDuration] = useState(service?.duration || ''); const [description, setDescription] = useState(service?.description || ''); const [isGenerating, setIsGenerating] = useState(false); const handleSubmit = (e) => { e.preventDefault(); const serviceData = { name, price: Number(price), duration: Number(duration), description }; if(service?.id) { trackWrite(updateDoc(doc(db, "services", service.id), serviceData), `Could not save ${name}.`); } else { trackWrite(addDoc(collection(db, "services"), serviceData), `Could not add ${name}.`); } onClose(); }; const handleGenerateDescription = async () => { if (!name || !price || !duration) { showToast("Please fill in Name, Price, and Duration first."); return; } setIsGenerating(true); const prompt = `Write a short, exciting, and professional salon service description for a service named "${name}". It costs ₹${price} and takes ${duration} minutes. Make it appealing to customers looking for high-quality service.`; const generatedDesc = await callGeminiAPI(prompt); setDescription(generatedDesc); setIsGenerating(false); }; return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in"><div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-md"><h3 className="text-2xl font-headline mb-6">{service ? 'Edit Service' : 'Add New Service'}</h3><form onSubmit={handleSubmit} className="space-y-4"><input type="text" placeholder="Service Name" value={name} onChange={e => setName(e.target.value)} required className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" /><input type="number" placeholder="Price (₹)" value={price} onChange={e => setPrice(e.target.value)} required className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" /><input type="number" placeholder="Duration (mins)" value={duration} onChange={e => setDuration(e.target.value)} required className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" /><div className="relative"><textarea placeholder="Description" value={description} onChange={e => setDescription(e.target.value)} rows="4" className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" /><button type="button" onClick={handleGenerateDescription} disabled={isGenerating} className="mt-2 text-sm flex items-center gap-1 text-[#7B2CF6] hover:text-white disabled:opacity-50"><SparklesIcon className="w-4 h-4" />{isGenerating ? 'Generating...' : 'Generate with AI'}</button></div><div className="flex gap-4 pt-2"><button type="button" onClick={onClose} className="w-full py-3 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Cancel</button><button type="submit" className="w-full py-3 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime">{service ? 'Save Changes' : 'Add Service'}</button></div></form></div></div>); };
+
+// --- Kiosk Components ---
+const KIOSK_IDLE_TIMEOUT_MS = 60 * 1000;
+const KIOSK_TOKEN_SCREEN_MS = 20 * 1000;
+
+// Calls onIdle once the front-desk tablet has seen no touch or key input for the given time.
+const useIdleTimer = (onIdle, timeoutMs = KIOSK_IDLE_TIMEOUT_MS) => {
+    const onIdleRef = useRef(onIdle);
+    onIdleRef.current = onIdle;
+
+    useEffect(() => {
+        let timer = null;
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => onIdleRef.current(), timeoutMs);
+        };
+        const events = ['pointerdown', 'keydown', 'touchstart', 'scroll'];
+        events.forEach(evt => window.addEventListener(evt, resetTimer, { passive: true }));
+        resetTimer();
+        return () => {
+            clearTimeout(timer);
+            events.forEach(evt => window.removeEventListener(evt, resetTimer));
+        };
+    }, [timeoutMs]);
+};
+
+const KioskHomePage = ({ navigate }) => {
+    const { db, settings } = useContext(AppContext);
+    const [activeQueue, setActiveQueue] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(collection(db, "queuePublic"), (snapshot) => setActiveQueue(snapshot.docs.map(doc => doc.data())));
+        return () => unsubscribe();
+    }, [db]);
+
+    const waitingCount = activeQueue ? activeQueue.filter(item => item.status === 'waiting').length : null;
+    const closedReason = getQueueClosedReason(settings, activeQueue ? activeQueue.length : 0);
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-8 text-center animate-fade-in">
+            <SyncStatusIndicator className="fixed top-4 right-4" />
+            <h1 className="text-7xl sm:text-8xl uppercase font-headline text-glow-lime">{settings.salonName}</h1>
+            <p className="mt-2 text-xl text-gray-400">Welcome! Walk-ins are always welcome.</p>
+            {waitingCount !== null && (
+                <p className="mt-8 text-2xl text-gray-300">
+                    <span className="font-bold text-[#D7FC00]">{waitingCount}</span> {waitingCount === 1 ? 'customer' : 'customers'} waiting
+                </p>
+            )}
+            {closedReason && <p className="mt-8 px-6 py-4 text-xl text-yellow-300 bg-yellow-900/40 border border-yellow-700 rounded-xl">{closedReason}</p>}
+            <div className="w-full max-w-md mt-12 space-y-4">
+                <button onClick={() => navigate('/kiosk/join')} disabled={Boolean(closedReason)} className="w-full py-6 px-4 bg-[#D7FC00] text-black rounded-2xl text-2xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300 disabled:opacity-40 disabled:hover:shadow-none">
+                    Join the Queue
+                </button>
+                <button onClick={() => navigate('/kiosk/board')} className="w-full py-4 px-4 bg-transparent border-2 border-[#7B2CF6] text-[#7B2CF6] rounded-2xl font-bold uppercase tracking-wider hover:bg-[#7B2CF6] hover:text-white transition-all duration-300">
+                    View Queue Board
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const KioskJoinQueuePage = ({ navigate }) => {
+    const { db } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const [services, setServices] = useState([]);
+    const [step, setStep] = useState('service');
+    const [selectedService, setSelectedService] = useState(null);
+    const [name, setName] = useState('');
+    const [phoneNumber, setPhoneNumber] = useState('');
+    const [preferredStylistId, setPreferredStylistId] = useState('any');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [ticket, setTicket] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const q = query(collection(db, "services"));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setServices(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const resetKiosk = useCallback(() => {
+        setStep('service');
+        setSelectedService(null);
+        setName('');
+        setPhoneNumber('');
+        setPreferredStylistId('any');
+        setError('');
+        setTicket(null);
+        navigate('/kiosk');
+    }, [navigate]);
+
+    useIdleTimer(resetKiosk, step === 'token' ? KIOSK_TOKEN_SCREEN_MS : KIOSK_IDLE_TIMEOUT_MS);
+
+    const handleSelectService = (service) => {
+        setSelectedService(service);
+        setStep('details');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            setError('Please enter your name.');
+            return;
+        }
+        if (!/^\d{10}$/.test(phoneNumber)) {
+            setError('Please enter a valid 10-digit mobile number.');
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            const { alreadyQueued, blockedReason, entry } = await joinQueue(db, {
+                userName: trimmedName,
+                userPhone: `+91${phoneNumber}`,
+                service: selectedService,
+                preferredStylist: stylists.find(stylist => stylist.id === preferredStylistId),
+                source: 'kiosk',
+            });
+            if (blockedReason) {
+                setError(blockedReason);
+                return;
+            }
+            setTicket({ ...entry, alreadyQueued });
+            setStep('token');
+        } catch (err) {
+            console.error("Kiosk join queue error:", err);
+            setError(navigator.onLine ? 'Could not add you to the queue. Please ask the front desk for help.' : 'The kiosk is offline. Please ask the front desk to add you.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (step === 'token' && ticket) {
+        return (
+            <div className="flex flex-col items-center justify-center min-h-screen p-8 text-center animate-fade-in">
+                <div className="bg-[#1A1A1A] border-2 border-[#D7FC00] rounded-3xl p-8 sm:p-12 w-full max-w-lg">
+                    <p className="text-xl text-gray-300">{ticket.alreadyQueued ? 'You are already in the queue' : `Thank you, ${ticket.userName}!`}</p>
+                    <p className="mt-6 text-lg uppercase tracking-wider text-gray-400">Your Token</p>
+                    <h2 className="text-9xl font-bold font-headline text-[#D7FC00] text-glow-lime">{ticket.queueNumber}</h2>
+                    <p className="mt-4 text-2xl font-bold text-white">{ticket.serviceName}</p>
+                    <p className="mt-6 text-gray-400">Please take a seat. Your token will be called on the queue board.</p>
+                </div>
+                <div className="no-print w-full max-w-lg mt-8 flex gap-4">
+                    <button onClick={() => window.print()} className="w-full py-4 bg-transparent border-2 border-[#D7FC00] text-[#D7FC00] rounded-xl font-bold uppercase hover:bg-[#D7FC00] hover:text-black transition-all duration-300">Print Token</button>
+                    <button onClick={resetKiosk} className="w-full py-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase hover:glow-lime transition-all duration-300">Done</button>
+                </div>
+            </div>
+        );
+    }
+
+    if (step === 'details' && selectedService) {
+        return (
+            <div className="flex flex-col items-center justify-center min-h-screen p-8 animate-fade-in">
+                <form onSubmit={handleSubmit} className="w-full max-w-md p-8 space-y-6 bg-[#1A1A1A] border border-gray-800 rounded-3xl">
+                    <div className="text-center">
+                        <p className="text-gray-400">You selected</p>
+                        <h2 className="text-4xl font-headline uppercase text-glow-lime">{selectedService.name}</h2>
+                    </div>
+                    {error && <p className="text-red-500 text-center text-sm">{error}</p>}
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Your name" className="w-full p-4 text-lg bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required />
+                    <div className="relative">
+                        <div className="absolute inset-y-0 left-0 flex items-center pl-4 pointer-events-none text-gray-400">+91</div>
+                        <input type="tel" inputMode="numeric" value={phoneNumber} onChange={(e) => setPhoneNumber(e.target.value.replace(/\D/g, '').slice(0, 10))} placeholder="10-digit mobile number" className="w-full pl-14 pr-4 py-4 text-lg bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] focus:ring-0 outline-none" required />
+                    </div>
+                    <StylistPicker stylists={stylists} value={preferredStylistId} onChange={setPreferredStylistId} />
+                    <button type="submit" disabled={isSubmitting} className="w-full py-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300 disabled:opacity-50">
+                        {isSubmitting ? 'Joining...' : 'Get My Token'}
+                    </button>
+                    <button type="button" onClick={() => setStep('service')} className="w-full text-center text-sm text-gray-400 hover:text-white">Back</button>
+                </form>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-4 sm:p-8 max-w-7xl mx-auto animate-fade-in">
+            <SyncStatusIndicator className="fixed top-4 right-4" />
+            <header className="flex justify-between items-center mb-8">
+                <h1 className="text-4xl sm:text-6xl font-headline uppercase text-glow-lime">Pick a Service</h1>
+                <button onClick={resetKiosk} className="text-gray-400 hover:text-white">Cancel</button>
+            </header>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {services.length > 0 ? services.map(service => (
+                    <ServiceCard key={service.id} service={service} onJoinQueue={handleSelectService} />
+                )) : <p>Loading services...</p>}
+            </div>
+        </div>
+    );
+};
+
+const BOARD_NEXT_UP_COUNT = 6;
+const BOARD_MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Two-tone "ding-dong" generated with the Web Audio API so the board needs no audio assets.
+const playChime = (audioContext) => {
+    if (!audioContext) return;
+    const now = audioContext.currentTime;
+    [880, 660].forEach((frequency, i) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, now + i * 0.45);
+        gain.gain.exponentialRampToValueAtTime(0.4, now + i * 0.45 + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + i * 0.45 + 0.9);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(now + i * 0.45);
+        oscillator.stop(now + i * 0.45 + 1);
+    });
+};
+
+// Without a stylist roster there is no chair to name, so the call is just the token.
+const announceToken = (entry, chairLabel) => {
+    if (!('speechSynthesis' in window)) return;
+    const utterance = new SpeechSynthesisUtterance(chairLabel ? `Token number ${entry.queueNumber}, please proceed to ${chairLabel}.` : `Token number ${entry.queueNumber}, please proceed.`);
+    utterance.rate = 0.9;
+    window.speechSynthesis.speak(utterance);
+};
+
+const KioskQueueBoardPage = ({ navigate }) => {
+    const { db, settings } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const todayKey = getDayKey();
+    const bookedSlots = useBookingDay(db, todayKey);
+    const measuredDurations = useMeasuredDurations(db, settings.estimateFromMeasuredTimes);
+    const [queue, setQueue] = useState([]);
+    const [connectionState, setConnectionState] = useState('connecting');
+    const [subscriptionKey, setSubscriptionKey] = useState(0);
+    const [soundEnabled, setSoundEnabled] = useState(false);
+    const [now, setNow] = useState(Date.now());
+    const audioContextRef = useRef(null);
+    const retryCountRef = useRef(0);
+    const lastStatusesRef = useRef(null);
+    const announcementsRef = useRef([]);
+
+    // Listener errors (network drops, expired sessions) tear down the snapshot
+    // listener, so resubscribe with exponential backoff until it comes back.
+    useEffect(() => {
+        if (!db) return;
+        let retryTimer = null;
+        const q = query(collection(db, "queuePublic"), orderBy("createdAt"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const previousStatuses = lastStatusesRef.current;
+            if (previousStatuses) {
+                const inService = entries.filter(item => item.status === 'in-service');
+                inService.forEach(item => {
+                    if (previousStatuses[item.id] === 'waiting') {
+                        announcementsRef.current.push({ entry: item, chairLabel: item.stylistName });
+                    }
+                });
+            }
+            lastStatusesRef.current = Object.fromEntries(entries.map(item => [item.id, item.status]));
+            setQueue(entries);
+            setConnectionState('live');
+            retryCountRef.current = 0;
+        }, (error) => {
+            console.error("Queue board listener error:", error);
+            setConnectionState('reconnecting');
+            const delay = Math.min(BOARD_MAX_RETRY_DELAY_MS, 1000 * 2 ** retryCountRef.current);
+            retryCountRef.current += 1;
+            retryTimer = setTimeout(() => setSubscriptionKey(key => key + 1), delay);
+        });
+        return () => {
+            clearTimeout(retryTimer);
+            unsubscribe();
+        };
+    }, [db, subscriptionKey]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            if (retryCountRef.current > 0) setSubscriptionKey(key => key + 1);
+        };
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, []);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Play queued announcements after render so the chair labels match what is on screen.
+    useEffect(() => {
+        const pending = announcementsRef.current;
+        if (pending.length === 0) return;
+        announcementsRef.current = [];
+        if (!soundEnabled) return;
+        playChime(audioContextRef.current);
+        setTimeout(() => pending.forEach(({ entry, chairLabel }) => announceToken(entry, chairLabel)), 1200);
+    }, [queue, soundEnabled]);
+
+    const handleEnableSound = () => {
+        // Browsers only allow audio after a user gesture, so the board starts muted.
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass && !audioContextRef.current) {
+            audioContextRef.current = new AudioContextClass();
+        }
+        audioContextRef.current?.resume();
+        document.documentElement.requestFullscreen?.().catch(() => {});
+        setSoundEnabled(true);
+    };
+
+    const nowServing = queue.filter(item => item.status === 'in-service');
+    const waiting = sortQueue(queue.filter(item => item.status === 'waiting'));
+    const waitTimes = estimateWaitTimes(queue, stylists, now, slotsToReservations(todayKey, bookedSlots), measuredDurations);
+
+    return (
+        <div className="min-h-screen p-8 flex flex-col animate-fade-in">
+            <header className="flex justify-between items-center mb-10">
+                <h1 className="text-7xl font-headline uppercase text-glow-lime">{settings.salonName}</h1>
+                <div className="flex items-center gap-6">
+                    <SyncStatusIndicator />
+                    {connectionState !== 'live' && <span className="px-3 py-1 text-sm font-bold text-yellow-300 bg-yellow-900/50 rounded-full">{connectionState === 'connecting' ? 'Connecting...' : 'Reconnecting...'}</span>}
+                    <span className="text-4xl font-bold text-gray-300">{new Date(now).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    {!soundEnabled && <button onClick={handleEnableSound} className="no-print px-4 py-2 bg-[#7B2CF6] text-white rounded-lg font-bold hover:glow-violet">Start Display</button>}
+                    <button onClick={() => navigate('/kiosk')} className="text-gray-500 hover:text-white">Back</button>
+                </div>
+            </header>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-10 flex-grow">
+                <section>
+                    <h2 className="text-4xl font-headline uppercase text-gray-300 mb-6">Now Serving</h2>
+                    <div className="space-y-4">
+                        {nowServing.map(item => (
+                            <div key={item.id} className="flex items-center justify-between bg-[#1A1A1A] border-2 border-[#D7FC00] rounded-2xl px-8 py-5 glow-lime animate-fade-in">
+                                <span className="text-8xl font-bold font-headline text-[#D7FC00]">{item.queueNumber}</span>
+                                <div className="text-right">
+                                    <p className="text-3xl font-bold text-white">{maskName(item.userName)}</p>
+                                    {item.stylistName && <p className="text-2xl text-gray-400">{item.stylistName}</p>}
+                                </div>
+                            </div>
+                        ))}
+                        {nowServing.length === 0 && <p className="text-2xl text-gray-500">All chairs are free.</p>}
+                    </div>
+                </section>
+                <section>
+                    <h2 className="text-4xl font-headline uppercase text-gray-300 mb-6">Up Next</h2>
+                    <div className="space-y-3">
+                        {waiting.slice(0, BOARD_NEXT_UP_COUNT).map(item => (
+                            <div key={item.id} className="flex items-center justify-between bg-[#1A1A1A] border border-gray-800 rounded-2xl px-6 py-4">
+                                <span className="text-6xl font-bold font-headline text-white">{item.queueNumber}</span>
+                                <span className="text-2xl text-gray-300">{maskName(item.userName)}</span>
+                                <span className="text-2xl text-gray-400">~{waitTimes[item.id]?.minutes ?? 0} min</span>
+                            </div>
+                        ))}
+                        {waiting.length === 0 && <p className="text-2xl text-gray-500">No one is waiting.</p>}
+                        {waiting.length > BOARD_NEXT_UP_COUNT && <p className="text-xl text-gray-500">+{waiting.length - BOARD_NEXT_UP_COUNT} more in queue</p>}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+// --- Stylist Components ---
+// Live roster of stylists, one chair each. Entries with active === false are off duty.
+const useStylists = (db) => {
+    const [stylists, setStylists] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+        const q = query(collection(db, "stylists"), orderBy("name"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setStylists(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    return stylists;
+};
+
+const StylistPicker = ({ stylists, value, onChange, className = '' }) => {
+    const activeStylists = stylists.filter(stylist => stylist.active !== false);
+    if (activeStylists.length === 0) return null;
+    return (
+        <div className={className}>
+            <label className="block mb-2 text-sm font-bold text-gray-300">Preferred Stylist</label>
+            <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] outline-none">
+                <option value="any">Any stylist</option>
+                {activeStylists.map(stylist => <option key={stylist.id} value={stylist.id}>{stylist.name}</option>)}
+            </select>
+        </div>
+    );
+};
+
+const StartServiceModal = ({ entry, stylists, queue, onStart, onClose }) => {
+    const activeStylists = stylists.filter(stylist => stylist.active !== false);
+    const busyStylistIds = new Set(queue.filter(item => item.status === 'in-service').map(item => item.stylistId));
+    const preferred = activeStylists.find(stylist => stylist.id === entry.preferredStylistId);
+    const firstFree = activeStylists.find(stylist => !busyStylistIds.has(stylist.id));
+    const [stylistId, setStylistId] = useState((preferred || firstFree || activeStylists[0])?.id || '');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onStart(entry, activeStylists.find(stylist => stylist.id === stylistId));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in">
+            <form onSubmit={handleSubmit} className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-sm">
+                <h3 className="text-2xl font-headline mb-2">Start Service</h3>
+                <p className="text-gray-400 mb-6">{entry.userName} · {entry.serviceName}</p>
+                <div className="space-y-2 mb-6">
+                    {activeStylists.map(stylist => (
+                        <label key={stylist.id} className={`flex items-center justify-between p-3 rounded-lg border-2 cursor-pointer ${stylistId === stylist.id ? 'border-[#D7FC00]' : 'border-gray-700'}`}>
+                            <span className="flex items-center gap-3">
+                                <input type="radio" name="stylist" value={stylist.id} checked={stylistId === stylist.id} onChange={() => setStylistId(stylist.id)} />
+                                {stylist.name}
+                            </span>
+                            <span className="text-xs text-gray-400">
+                                {stylist.id === entry.preferredStylistId && 'Requested · '}
+                                {busyStylistIds.has(stylist.id) ? 'Busy' : 'Free'}
+                            </span>
+                        </label>
+                    ))}
+                </div>
+                <div className="flex gap-4">
+                    <button type="button" onClick={onClose} className="w-full py-2 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Cancel</button>
+                    <button type="submit" disabled={!stylistId} className="w-full py-2 bg-lime-500 text-black rounded-lg font-bold hover:bg-lime-400 disabled:opacity-50">Start</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const StylistManagementPage = () => {
+    const { db } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const [queue, setQueue] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const q = query(collection(db, "queue"), where("status", "==", "in-service"));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setQueue(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const name = newName.trim();
+        if (!name) return;
+        trackWrite(addDoc(collection(db, "stylists"), { name, active: true, createdAt: serverTimestamp() }), `Could not add ${name}.`);
+        setNewName('');
+    };
+
+    const toggleActive = (stylist) => {
+        trackWrite(updateDoc(doc(db, "stylists", stylist.id), { active: stylist.active === false }), `Could not update ${stylist.name}.`);
+    };
+
+    const executeDelete = () => {
+        if (confirmingDelete) {
+            trackWrite(deleteDoc(doc(db, "stylists", confirmingDelete)), 'Could not delete the stylist.');
+            setConfirmingDelete(null);
+        }
+    };
+
+    return (
+        <div className="animate-fade-in">
+            {confirmingDelete && (<ConfirmModal title="Remove Stylist" message="Remove this stylist from the roster? Past queue entries keep their name." onConfirm={executeDelete} onCancel={() => setConfirmingDelete(null)} confirmText="Remove" />)}
+            <h2 className="text-4xl font-headline mb-6 uppercase">Stylists &amp; Chairs</h2>
+            <form onSubmit={handleAdd} className="flex gap-4 mb-6 max-w-lg">
+                <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Stylist name" className="flex-1 p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" />
+                <button type="submit" className="px-6 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime">Add</button>
+            </form>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {stylists.map(stylist => {
+                    const serving = queue.find(item => item.stylistId === stylist.id);
+                    return (
+                        <div key={stylist.id} className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-5">
+                            <div className="flex items-center justify-between">
+                                <h3 className="text-xl font-bold">{stylist.name}</h3>
+                                {stylist.active === false
+                                    ? <span className="px-3 py-1 text-xs font-bold text-gray-300 bg-gray-700 rounded-full">Off Duty</span>
+                                    : <span className="px-3 py-1 text-xs font-bold text-lime-300 bg-lime-900/50 rounded-full">On Duty</span>}
+                            </div>
+                            <p className="text-gray-400 mt-1">{serving ? `Serving #${serving.queueNumber} · ${serving.serviceName}` : 'Chair free'}</p>
+                            <div className="flex gap-4 mt-4">
+                                <button onClick={() => toggleActive(stylist)} className="text-sm text-blue-400 hover:text-blue-300">{stylist.active === false ? 'Mark On Duty' : 'Mark Off Duty'}</button>
+                                <button onClick={() => setConfirmingDelete(stylist.id)} className="text-sm flex items-center gap-1 text-red-400 hover:text-red-300"><TrashIcon className="w-4 h-4" /> Remove</button>
+                            </div>
+                        </div>
+                    );
+                })}
+                {stylists.length === 0 && <p className="text-gray-500">No stylists yet. Add one chair per stylist working today.</p>}
+            </div>
+        </div>
+    );
+};
+
+// --- Customer Components ---
+const formatDate = (timestamp) => {
+    const millis = toMillis(timestamp);
+    return millis ? new Date(millis).toLocaleDateString() : '—';
+};
+
+const getFavouriteServices = (customer, count = 3) => Object.entries(customer.serviceCounts || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([name]) => name);
+
+const CustomerListPage = () => {
+    const { db } = useContext(AppContext);
+    const [users, setUsers] = useState([]);
+    const [profiles, setProfiles] = useState([]);
+    const [search, setSearch] = useState('');
+    const [selectedKey, setSelectedKey] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(query(collection(db, "users"), where("role", "==", "customer")), (snapshot) => {
+            setUsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(collection(db, "customers"), (snapshot) => {
+            setProfiles(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    // Registered customers come from users; walk-ins only exist as customers/{phone_...} profiles.
+    const customers = (() => {
+        const byKey = new Map(profiles.map(profile => [profile.id, { key: profile.id, walkIn: !profile.userId, ...profile }]));
+        users.forEach(user => {
+            const key = getCustomerKey({ userId: user.uid || user.id });
+            const profile = byKey.get(key) || {};
+            byKey.set(key, { ...profile, key, walkIn: false, userId: user.uid || user.id, name: user.displayName || profile.name, phone: user.phoneNumber || profile.phone, email: user.email });
+        });
+        return Array.from(byKey.values()).sort((a, b) => (toMillis(b.lastVisitAt) || 0) - (toMillis(a.lastVisitAt) || 0));
+    })();
+
+    const searchTerm = search.trim().toLowerCase();
+    const filtered = searchTerm
+        ? customers.filter(c => [c.name, c.phone, c.email].some(value => value && value.toLowerCase().includes(searchTerm)))
+        : customers;
+    const selected = customers.find(c => c.key === selectedKey);
+
+    const handleExport = () => {
+        downloadCsv(`customers-${getDayKey()}.csv`, [
+            ['Name', 'Phone', 'Email', 'Type', 'Visits', 'Last Visit', 'Total Spend', 'Favourite Services', 'Notes'],
+            ...filtered.map(c => [c.name, c.phone, c.email, c.walkIn ? 'Walk-in' : 'Registered', c.visitCount || 0, formatDate(c.lastVisitAt), c.totalSpend || 0, getFavouriteServices(c).join('; '), c.notes]),
+        ]);
+    };
+
+    return (
+        <div className="animate-fade-in">
+            {selected && <CustomerProfileModal customer={selected} onClose={() => setSelectedKey(null)} />}
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-4xl font-headline uppercase">Customers</h2>
+                <div className="flex gap-4">
+                    <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search name, phone or email" className="p-3 w-64 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" />
+                    <button onClick={handleExport} className="px-4 bg-transparent border-2 border-[#D7FC00] text-[#D7FC00] rounded-lg font-bold hover:bg-[#D7FC00] hover:text-black">Export CSV</button>
+                </div>
+            </div>
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl overflow-hidden">
+                <table className="w-full text-left">
+                    <thead className="bg-gray-800/50"><tr><th className="p-4 uppercase text-sm text-gray-400">Name</th><th className="p-4 uppercase text-sm text-gray-400 hidden md:table-cell">Mobile</th><th className="p-4 uppercase text-sm text-gray-400">Visits</th><th className="p-4 uppercase text-sm text-gray-400 hidden md:table-cell">Last Visit</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Total Spend</th></tr></thead>
+                    <tbody>
+                        {filtered.map(customer => (
+                            <tr key={customer.key} onClick={() => setSelectedKey(customer.key)} className="border-t border-gray-800 cursor-pointer hover:bg-gray-800/40">
+                                <td className="p-4 font-medium">{customer.name || 'Unnamed'} {customer.walkIn && <span className="ml-2 px-2 py-0.5 text-xs font-bold text-violet-300 bg-violet-900/50 rounded-full">Walk-in</span>}</td>
+                                <td className="p-4 text-gray-400 hidden md:table-cell">{customer.phone || 'N/A'}</td>
+                                <td className="p-4 text-gray-300">{customer.visitCount || 0}</td>
+                                <td className="p-4 text-gray-400 hidden md:table-cell">{formatDate(customer.lastVisitAt)}</td>
+                                <td className="p-4 text-right text-[#D7FC00] font-bold">₹{customer.totalSpend || 0}</td>
+                            </tr>
+                        ))}
+                        {filtered.length === 0 && (<tr><td colSpan="5" className="text-center p-8 text-gray-500">No customers found.</td></tr>)}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const CustomerProfileModal = ({ customer, onClose }) => {
+    const { db, showToast } = useContext(AppContext);
+    const [visits, setVisits] = useState([]);
+    const [notes, setNotes] = useState(customer.notes || '');
+    const [savedNotes, setSavedNotes] = useState(customer.notes || '');
+
+    useEffect(() => {
+        if (!db) return;
+        let cancelled = false;
+        getDocs(query(collection(db, "queue"), where("customerKey", "==", customer.key), where("status", "==", "completed")))
+            .then((snapshot) => {
+                if (cancelled) return;
+                const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                setVisits(history.sort((a, b) => (toMillis(b.completedAt) || 0) - (toMillis(a.completedAt) || 0)));
+            })
+            .catch((err) => {
+                console.error("Visit history load error:", err);
+                if (!cancelled) showToast(getErrorMessage(err, 'Could not load the visit history.'));
+            });
+        return () => { cancelled = true; };
+    }, [db, customer.key, showToast]);
+
+    const handleSaveNotes = () => {
+        trackWrite(setDoc(doc(db, "customers", customer.key), { customerKey: customer.key, notes, notesUpdatedAt: serverTimestamp() }, { merge: true }), 'Could not save the notes.');
+        setSavedNotes(notes);
+    };
+
+    const favourites = getFavouriteServices(customer);
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-start mb-6">
+                    <div>
+                        <h3 className="text-3xl font-headline">{customer.name || 'Unnamed'}</h3>
+                        <p className="text-gray-400">{[customer.phone, customer.email].filter(Boolean).join(' · ') || 'No contact details'}</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-500 hover:text-white text-2xl">&times;</button>
+                </div>
+                <div className="grid grid-cols-3 gap-4 mb-6">
+                    <div className="bg-[#111111] rounded-xl p-4"><p className="text-xs uppercase text-gray-500">Visits</p><p className="text-2xl font-bold">{customer.visitCount || 0}</p></div>
+                    <div className="bg-[#111111] rounded-xl p-4"><p className="text-xs uppercase text-gray-500">Last Visit</p><p className="text-2xl font-bold">{formatDate(customer.lastVisitAt)}</p></div>
+                    <div className="bg-[#111111] rounded-xl p-4"><p className="text-xs uppercase text-gray-500">Total Spend</p><p className="text-2xl font-bold text-[#D7FC00]">₹{customer.totalSpend || 0}</p></div>
+                </div>
+                <div className="mb-6">
+                    <p className="text-sm font-bold text-gray-300 mb-2">Favourite Services</p>
+                    <div className="flex flex-wrap gap-2">
+                        {favourites.map(name => <span key={name} className="px-3 py-1 text-sm bg-[#7B2CF6]/20 text-violet-200 rounded-full">{name}</span>)}
+                        {favourites.length === 0 && <span className="text-gray-500">No visits yet.</span>}
+                    </div>
+                </div>
+                <div className="mb-6">
+                    <label className="block text-sm font-bold text-gray-300 mb-2" htmlFor="customer-notes">Staff Notes</label>
+                    <textarea id="customer-notes" value={notes} onChange={(e) => setNotes(e.target.value)} rows="4" placeholder="Colour formulas, allergies, preferences..." className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" />
+                    <button onClick={handleSaveNotes} disabled={notes === savedNotes} className="mt-2 px-4 py-2 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime disabled:opacity-50">{notes === savedNotes ? 'Saved' : 'Save Notes'}</button>
+                </div>
+                <div>
+                    <p className="text-sm font-bold text-gray-300 mb-2">Visit History</p>
+                    <ul className="divide-y divide-gray-800">
+                        {visits.map(visit => (
+                            <li key={visit.id} className="flex justify-between py-2 text-gray-300">
+                                <span>{formatDate(visit.completedAt)} · {visit.serviceName}{visit.stylistName ? ` with ${visit.stylistName}` : ''}</span>
+                                <span className="text-gray-400">₹{visit.amountPaid ?? visit.servicePrice ?? 0}</span>
+                            </li>
+                        ))}
+                        {visits.length === 0 && <li className="py-2 text-gray-500">No completed visits recorded.</li>}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Settings Components ---
+const ROLES = ['customer', 'staff', 'owner'];
+
+const SettingsPage = () => {
+    const { db, user, settings } = useContext(AppContext);
+    // Only the fields changed on this page; everything else shows the live
+    // settings, so changes made from another device are neither hidden nor
+    // overwritten on Save.
+    const [edits, setEdits] = useState({});
+    const [newHoliday, setNewHoliday] = useState('');
+    const [users, setUsers] = useState([]);
+    const [userSearch, setUserSearch] = useState('');
+    const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(collection(db, "users"), (snapshot) => {
+            setUsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const draft = { ...settings, ...edits, hours: { ...settings.hours, ...edits.hours } };
+    const updateDraft = (changes) => setEdits(current => ({ ...current, ...changes }));
+    const updateHours = (day, changes) => setEdits(current => ({ ...current, hours: { ...current.hours, [day]: { ...draft.hours[day], ...current.hours?.[day], ...changes } } }));
+
+    const handleAddHoliday = () => {
+        if (!newHoliday || draft.holidays.includes(newHoliday)) return;
+        updateDraft({ holidays: [...draft.holidays, newHoliday].sort() });
+        setNewHoliday('');
+    };
+
+    // Merges just the edited fields (and, for hours, just the edited days).
+    const handleSave = () => {
+        const changes = { ...edits };
+        if ('salonName' in changes) changes.salonName = changes.salonName.trim() || DEFAULT_SALON_SETTINGS.salonName;
+        if ('maxQueueLength' in changes) changes.maxQueueLength = Math.max(0, Number(changes.maxQueueLength) || 0);
+        if ('gstRate' in changes) changes.gstRate = Math.max(0, Number(changes.gstRate) || 0);
+        trackWrite(setDoc(doc(db, "settings", "salon"), { ...changes, updatedAt: serverTimestamp() }, { merge: true }), 'Could not save settings.');
+        setEdits({});
+        setAlertInfo({ show: true, message: navigator.onLine ? 'Settings saved.' : 'Settings saved on this device. They will sync when the connection returns.' });
+    };
+
+    // The pause switch is applied immediately rather than waiting for Save, so staff can stop joins at once.
+    const handleTogglePause = async () => {
+        const queuePaused = !settings.queuePaused;
+        trackWrite(setDoc(doc(db, "settings", "salon"), { queuePaused, updatedAt: serverTimestamp() }, { merge: true }), queuePaused ? 'Could not pause the queue.' : 'Could not resume the queue.');
+    };
+
+    const handleRoleChange = async (targetUser, role) => {
+        if (targetUser.id === user.uid) {
+            setAlertInfo({ show: true, message: "You can't change your own role. Ask another owner to do it." });
+            return;
+        }
+        trackWrite(updateDoc(doc(db, "users", targetUser.id), { role }), `Could not change the role of ${targetUser.displayName || targetUser.phoneNumber || targetUser.email}.`);
+    };
+
+    const searchTerm = userSearch.trim().toLowerCase();
+    const filteredUsers = users
+        .filter(u => !searchTerm || [u.displayName, u.phoneNumber, u.email].some(value => value && value.toLowerCase().includes(searchTerm)))
+        .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+
+    const inputClass = "p-3 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none";
+
+    return (
+        <div className="animate-fade-in space-y-8 max-w-4xl">
+            {alertInfo.show && <AlertModal title="Settings" message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
+            <div className="flex justify-between items-center">
+                <h2 className="text-4xl font-headline uppercase">Settings</h2>
+                <button onClick={handleSave} disabled={Object.keys(edits).length === 0} className="px-6 py-3 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime disabled:opacity-50">Save Settings</button>
+            </div>
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6 space-y-4">
+                <h3 className="text-2xl font-headline">Branding</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" value={draft.salonName} onChange={(e) => updateDraft({ salonName: e.target.value })} placeholder="Salon name" className={inputClass} />
+                    <input type="text" value={draft.tagline} onChange={(e) => updateDraft({ tagline: e.target.value })} placeholder="Tagline" className={inputClass} />
+                </div>
+            </section>
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6 space-y-4">
+                <h3 className="text-2xl font-headline">Billing</h3>
+                <div className="flex flex-wrap items-center gap-6">
+                    <label className="flex items-center gap-3">
+                        <span className="text-gray-300">GST rate (%)</span>
+                        <input type="number" min="0" step="0.01" value={draft.gstRate} onChange={(e) => updateDraft({ gstRate: e.target.value })} className={`${inputClass} w-24`} />
+                    </label>
+                    <input type="text" value={draft.gstin} onChange={(e) => updateDraft({ gstin: e.target.value.toUpperCase() })} placeholder="GSTIN (printed on receipts)" className={`${inputClass} w-72`} />
+                </div>
+            </section>
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6 space-y-4">
+                <h3 className="text-2xl font-headline">Queue Rules</h3>
+                <div className="flex flex-wrap items-center gap-6">
+                    <label className="flex items-center gap-3">
+                        <span className="text-gray-300">Maximum queue length</span>
+                        <input type="number" min="0" value={draft.maxQueueLength} onChange={(e) => updateDraft({ maxQueueLength: e.target.value })} className={`${inputClass} w-24`} />
+                        <span className="text-xs text-gray-500">0 = no limit</span>
+                    </label>
+                    <button onClick={handleTogglePause} className={`px-4 py-2 rounded-lg font-bold ${draft.queuePaused ? 'bg-red-600 text-white hover:bg-red-500' : 'bg-gray-700 hover:bg-gray-600'}`}>
+                        {draft.queuePaused ? 'Queue Paused — Resume' : 'Pause Queue'}
+                    </button>
+                </div>
+                <label className="flex items-center gap-3 text-gray-300">
+                    <input type="checkbox" checked={draft.estimateFromMeasuredTimes} onChange={(e) => updateDraft({ estimateFromMeasuredTimes: e.target.checked })} />
+                    Estimate waits from measured service times
+                    <span className="text-xs text-gray-500">(after {SERVICE_STATS_MIN_SAMPLES} completed visits per service)</span>
+                </label>
+            </section>
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6 space-y-4">
+                <h3 className="text-2xl font-headline">Opening Hours</h3>
+                <div className="space-y-2">
+                    {DAY_KEYS.map(day => (
+                        <div key={day} className="flex flex-wrap items-center gap-4">
+                            <span className="w-28 text-gray-300">{DAY_LABELS[day]}</span>
+                            <label className="flex items-center gap-2 text-sm text-gray-400">
+                                <input type="checkbox" checked={draft.hours[day].closed} onChange={(e) => updateHours(day, { closed: e.target.checked })} /> Closed
+                            </label>
+                            <input type="time" value={draft.hours[day].open} disabled={draft.hours[day].closed} onChange={(e) => updateHours(day, { open: e.target.value })} className={`${inputClass} disabled:opacity-40`} />
+                            <span className="text-gray-500">to</span>
+                            <input type="time" value={draft.hours[day].close} disabled={draft.hours[day].closed} onChange={(e) => updateHours(day, { close: e.target.value })} className={`${inputClass} disabled:opacity-40`} />
+                        </div>
+                    ))}
+                </div>
+                <div>
+                    <p className="text-sm font-bold text-gray-300 mb-2">Holidays</p>
+                    <div className="flex gap-2 mb-2">
+                        <input type="date" value={newHoliday} onChange={(e) => setNewHoliday(e.target.value)} className={inputClass} />
+                        <button onClick={handleAddHoliday} className="px-4 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Add</button>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {draft.holidays.map(date => (
+                            <span key={date} className="flex items-center gap-2 px-3 py-1 text-sm bg-gray-800 rounded-full">
+                                {date}
+                                <button onClick={() => updateDraft({ holidays: draft.holidays.filter(d => d !== date) })} className="text-gray-500 hover:text-red-400">&times;</button>
+                            </span>
+                        ))}
+                        {draft.holidays.length === 0 && <span className="text-gray-500 text-sm">No holidays set.</span>}
+                    </div>
+                </div>
+            </section>
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6 space-y-4">
+                <div className="flex flex-wrap justify-between items-center gap-4">
+                    <h3 className="text-2xl font-headline">Staff &amp; Roles</h3>
+                    <input type="search" value={userSearch} onChange={(e) => setUserSearch(e.target.value)} placeholder="Search users" className={`${inputClass} w-64`} />
+                </div>
+                <p className="text-xs text-gray-500">Role changes are saved immediately.</p>
+                <table className="w-full text-left">
+                    <tbody>
+                        {filteredUsers.map(u => (
+                            <tr key={u.id} className="border-t border-gray-800">
+                                <td className="py-3 font-medium">{u.displayName || 'Unnamed'}{u.id === user.uid && <span className="ml-2 text-xs text-gray-500">(you)</span>}</td>
+                                <td className="py-3 text-gray-400 hidden md:table-cell">{u.phoneNumber || u.email || 'N/A'}</td>
+                                <td className="py-3 text-right">
+                                    <select value={u.role || 'customer'} disabled={u.id === user.uid} onChange={(e) => handleRoleChange(u, e.target.value)} className={`${inputClass} py-2 disabled:opacity-50`}>
+                                        {ROLES.map(role => <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>)}
+                                    </select>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </section>
+        </div>
+    );
+};
+
+// --- Booking Components ---
+// Reserved slots for one day from bookingDays/{dayKey}; safe to read on public screens.
+const useBookingDay = (db, dayKey) => {
+    const [slots, setSlots] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(doc(db, "bookingDays", dayKey), (snap) => {
+            setSlots(getDaySlots(snap.data()));
+        });
+        return () => unsubscribe();
+    }, [db, dayKey]);
+
+    return slots;
+};
+
+const formatDayKey = (dayKey, options = { weekday: 'short', day: 'numeric', month: 'short' }) => new Date(dayKeyToMillis(dayKey)).toLocaleDateString([], options);
+
+const getBookingStatusChip = (booking, now = Date.now()) => {
+    if (booking.status === 'booked' && now > dayKeyToMillis(booking.date, booking.startMinutes + NO_SHOW_GRACE_MINUTES)) {
+        return <span className="px-3 py-1 text-xs font-bold text-orange-300 bg-orange-900/50 rounded-full">Late</span>;
+    }
+    switch (booking.status) {
+        case 'booked': return <span className="px-3 py-1 text-xs font-bold text-violet-300 bg-violet-900/50 rounded-full">Booked</span>;
+        case 'checked-in': return <span className="px-3 py-1 text-xs font-bold text-lime-300 bg-lime-900/50 rounded-full">Checked In</span>;
+        case 'no-show': return <span className="px-3 py-1 text-xs font-bold text-red-300 bg-red-900/50 rounded-full">No-show</span>;
+        case 'cancelled': return <span className="px-3 py-1 text-xs font-bold text-gray-300 bg-gray-700 rounded-full">Cancelled</span>;
+        default: return <span className="px-3 py-1 text-xs font-bold text-gray-300 bg-gray-700 rounded-full">Unknown</span>;
+    }
+};
+
+const BookingPage = ({ navigate, route }) => {
+    const { user, db, settings, showToast } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const [services, setServices] = useState([]);
+    const [serviceId, setServiceId] = useState(route.split('/')[2] || '');
+    const [dayKey, setDayKey] = useState(getDayKey());
+    const [stylistId, setStylistId] = useState('any');
+    const [startMinutes, setStartMinutes] = useState(null);
+    const [myBookings, setMyBookings] = useState([]);
+    const [alertInfo, setAlertInfo] = useState({ show: false, title: '', message: '' });
+    const [confirmingCancel, setConfirmingCancel] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const slots = useBookingDay(db, dayKey);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(query(collection(db, "services")), (snapshot) => {
+            setServices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    useEffect(() => {
+        if (!db || !user) return;
+        const unsubscribe = onSnapshot(query(collection(db, "bookings"), where("userId", "==", user.uid)), (snapshot) => {
+            setMyBookings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db, user]);
+
+    const service = services.find(s => s.id === serviceId);
+    const days = Array.from({ length: BOOKING_DAYS_AHEAD }, (_, i) => getDayKey(new Date(Date.now() + i * 24 * 60 * 60 * 1000)));
+    const availableSlots = service ? getAvailableSlots({ dayKey, duration: Number(service.duration) || 0, settings, slots, stylistId, stylists }) : [];
+    const upcoming = myBookings
+        .filter(booking => booking.status === 'booked' && booking.date >= getDayKey())
+        .sort((a, b) => dayKeyToMillis(a.date, a.startMinutes) - dayKeyToMillis(b.date, b.startMinutes));
+
+    const handleBook = async () => {
+        if (!service || startMinutes === null) return;
+        setIsSubmitting(true);
+        let result;
+        try {
+            result = await createBooking(db, {
+                userId: user.uid,
+                userName: user.displayName || user.phoneNumber,
+                userPhone: user.phoneNumber,
+                service,
+                stylist: stylists.find(stylist => stylist.id === stylistId),
+                dayKey,
+                startMinutes,
+                stylists,
+            });
+        } catch (err) {
+            console.error("Booking error:", err);
+            showToast(getErrorMessage(err, 'Could not book that slot. Please try again.'));
+            return;
+        } finally {
+            setIsSubmitting(false);
+        }
+        const { unavailable, booking } = result;
+        setStartMinutes(null);
+        if (unavailable) {
+            setAlertInfo({ show: true, title: 'Slot Taken', message: 'Someone just booked that time. Please pick another slot.' });
+            return;
+        }
+        setAlertInfo({ show: true, title: 'Booked!', message: `${booking.serviceName} on ${formatDayKey(dayKey)} at ${formatTimeOfDay(startMinutes)}. Check in at the front desk when you arrive.` });
+    };
+
+    const executeCancel = async () => {
+        if (confirmingCancel) {
+            try {
+                await closeBooking(db, confirmingCancel, 'cancelled');
+            } catch (err) {
+                console.error("Cancel booking error:", err);
+                showToast(getErrorMessage(err, 'Could not cancel the booking.'));
+            }
+            setConfirmingCancel(null);
+        }
+    };
+
+    return (
+        <div className="p-4 sm:p-8 max-w-5xl mx-auto animate-fade-in">
+            {alertInfo.show && <AlertModal title={alertInfo.title} message={alertInfo.message} onClose={() => setAlertInfo({ show: false, title: '', message: '' })} />}
+            {confirmingCancel && (<ConfirmModal title="Cancel Booking" message={`Cancel your ${confirmingCancel.serviceName} on ${formatDayKey(confirmingCancel.date)} at ${formatTimeOfDay(confirmingCancel.startMinutes)}?`} onConfirm={executeCancel} onCancel={() => setConfirmingCancel(null)} confirmText="Cancel Booking" />)}
+            <header className="flex justify-between items-center mb-8">
+                <h1 className="text-4xl sm:text-6xl font-headline uppercase text-glow-lime">Book a Time</h1>
+                <button onClick={() => navigate('/services')} className="text-gray-400 hover:text-white">Back to services</button>
+            </header>
+
+            {upcoming.length > 0 && (
+                <section className="mb-8">
+                    <h2 className="text-2xl font-headline uppercase text-gray-300 mb-4">Your Bookings</h2>
+                    <div className="space-y-2">
+                        {upcoming.map(booking => (
+                            <div key={booking.id} className="flex justify-between items-center bg-[#1A1A1A] border border-gray-800 rounded-xl p-4">
+                                <div>
+                                    <p className="font-bold">{booking.serviceName}{booking.stylistName ? ` with ${booking.stylistName}` : ''}</p>
+                                    <p className="text-gray-400">{formatDayKey(booking.date)} at {formatTimeOfDay(booking.startMinutes)}</p>
+                                </div>
+                                <button onClick={() => setConfirmingCancel(booking)} className="text-sm text-red-400 hover:text-red-300">Cancel</button>
+                            </div>
+                        ))}
+                    </div>
+                </section>
+            )}
+
+            <section className="bg-[#1A1A1A] border border-gray-800 rounded-3xl p-6 space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block mb-2 text-sm font-bold text-gray-300">Service</label>
+                        <select value={serviceId} onChange={(e) => { setServiceId(e.target.value); setStartMinutes(null); }} className="w-full p-3 bg-[#111111] border-2 border-gray-700 rounded-xl focus:border-[#D7FC00] outline-none">
+                            <option value="">Choose a service</option>
+                            {services.map(s => <option key={s.id} value={s.id}>{s.name} · {s.duration} mins · ₹{s.price}</option>)}
+                        </select>
+                    </div>
+                    <StylistPicker stylists={stylists} value={stylistId} onChange={(value) => { setStylistId(value); setStartMinutes(null); }} />
+                </div>
+                <div className="flex gap-2 overflow-x-auto pb-2">
+                    {days.map(key => (
+                        <button key={key} onClick={() => { setDayKey(key); setStartMinutes(null); }} className={`flex-shrink-0 px-4 py-2 rounded-xl font-bold ${dayKey === key ? 'bg-[#D7FC00] text-black' : 'bg-[#111111] text-gray-300 hover:bg-gray-800'}`}>
+                            {formatDayKey(key)}
+                        </button>
+                    ))}
+                </div>
+                {!service && <p className="text-gray-500">Choose a service to see available times.</p>}
+                {service && availableSlots.length === 0 && <p className="text-gray-500">No times left on this day. Try another day or stylist.</p>}
+                {service && availableSlots.length > 0 && (
+                    <div className="grid grid-cols-3 sm:grid-cols-5 md:grid-cols-6 gap-2">
+                        {availableSlots.map(start => (
+                            <button key={start} onClick={() => setStartMinutes(start)} className={`py-2 rounded-lg font-bold border-2 ${startMinutes === start ? 'border-[#D7FC00] text-[#D7FC00]' : 'border-gray-700 text-gray-300 hover:border-gray-500'}`}>
+                                {formatTimeOfDay(start)}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <button onClick={handleBook} disabled={!service || startMinutes === null || isSubmitting} className="w-full py-3 px-4 bg-[#D7FC00] text-black rounded-xl font-bold uppercase tracking-wider hover:glow-lime transition-all duration-300 disabled:opacity-40 disabled:hover:shadow-none">
+                    {isSubmitting ? 'Booking...' : startMinutes === null ? 'Pick a Time' : `Book ${formatTimeOfDay(startMinutes)}`}
+                </button>
+            </section>
+        </div>
+    );
+};
+
+const CALENDAR_PX_PER_MINUTE = 1.5;
+
+const BookingCalendarPage = () => {
+    const { db, settings, showToast } = useContext(AppContext);
+    const stylists = useStylists(db);
+    const [dayKey, setDayKey] = useState(getDayKey());
+    const [bookings, setBookings] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [alertInfo, setAlertInfo] = useState({ show: false, message: '' });
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(query(collection(db, "bookings"), where("date", "==", dayKey)), (snapshot) => {
+            setBookings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db, dayKey]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const shiftDay = (days) => setDayKey(getDayKey(new Date(dayKeyToMillis(dayKey) + days * 24 * 60 * 60 * 1000 + 12 * 60 * 60 * 1000)));
+
+    const hours = settings.hours[DAY_KEYS[new Date(dayKeyToMillis(dayKey)).getDay()]];
+    const visible = bookings.filter(booking => booking.status !== 'cancelled');
+    const openMinutes = Math.min(parseTimeOfDay(hours.open), ...visible.map(b => b.startMinutes));
+    const closeMinutes = Math.max(parseTimeOfDay(hours.close), ...visible.map(b => b.startMinutes + b.serviceDuration));
+    const hourMarks = [];
+    for (let m = Math.ceil(openMinutes / 60) * 60; m < closeMinutes; m += 60) hourMarks.push(m);
+
+    const activeStylists = stylists.filter(stylist => stylist.active !== false);
+    const columns = [...activeStylists.map(stylist => ({ id: stylist.id, name: stylist.name })), { id: 'any', name: 'Any Stylist' }];
+    const columnFor = (booking) => (columns.some(c => c.id === booking.stylistId) ? booking.stylistId : 'any');
+    const isToday = dayKey === getDayKey();
+
+    const handleCheckIn = async (booking) => {
+        let result;
+        try {
+            result = await checkInBooking(db, booking);
+        } catch (err) {
+            console.error("Check-in error:", err);
+            showToast(getErrorMessage(err, `Could not check in ${booking.userName}.`));
+            return;
+        }
+        const { alreadyQueued, blockedReason } = result;
+        setSelected(null);
+        if (blockedReason) setAlertInfo({ show: true, message: blockedReason });
+        else if (alreadyQueued) setAlertInfo({ show: true, message: `${booking.userName} is already in the queue.` });
+    };
+
+    const handleClose = async (booking, status) => {
+        try {
+            await closeBooking(db, booking, status);
+        } catch (err) {
+            console.error("Close booking error:", err);
+            showToast(getErrorMessage(err, 'Could not update the booking.'));
+        }
+        setSelected(null);
+    };
+
+    return (
+        <div className="animate-fade-in">
+            {alertInfo.show && <AlertModal title="Check In" message={alertInfo.message} onClose={() => setAlertInfo({ show: false, message: '' })} />}
+            {selected && (
+                <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in">
+                    <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-sm">
+                        <div className="flex justify-between items-start mb-4">
+                            <h3 className="text-2xl font-headline">{selected.userName}</h3>
+                            {getBookingStatusChip(selected, now)}
+                        </div>
+                        <p className="text-gray-300">{selected.serviceName} · {selected.serviceDuration} mins</p>
+                        <p className="text-gray-400">{formatDayKey(selected.date)} at {formatTimeOfDay(selected.startMinutes)}{selected.stylistName ? ` with ${selected.stylistName}` : ''}</p>
+                        <p className="text-gray-400">{selected.userPhone || 'No phone'}</p>
+                        <div className="flex flex-col gap-2 mt-6">
+                            {selected.status === 'booked' && isToday && <button onClick={() => handleCheckIn(selected)} className="w-full py-2 bg-lime-500 text-black rounded-lg font-bold hover:bg-lime-400">Check In</button>}
+                            {selected.status === 'booked' && now > dayKeyToMillis(selected.date, selected.startMinutes + NO_SHOW_GRACE_MINUTES) && <button onClick={() => handleClose(selected, 'no-show')} className="w-full py-2 bg-orange-600 text-white rounded-lg font-bold hover:bg-orange-500">Mark No-show</button>}
+                            {selected.status === 'booked' && <button onClick={() => handleClose(selected, 'cancelled')} className="w-full py-2 bg-red-600 text-white rounded-lg font-bold hover:bg-red-500">Cancel Booking</button>}
+                            <button onClick={() => setSelected(null)} className="w-full py-2 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Close</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-4xl font-headline uppercase">Bookings</h2>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => shiftDay(-1)} className="px-3 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">&larr;</button>
+                    <input type="date" value={dayKey} onChange={(e) => e.target.value && setDayKey(e.target.value)} className="p-2 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none" />
+                    <button onClick={() => shiftDay(1)} className="px-3 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">&rarr;</button>
+                    {!isToday && <button onClick={() => setDayKey(getDayKey())} className="px-3 py-2 text-sm text-gray-400 hover:text-white">Today</button>}
+                </div>
+            </div>
+            {hours.closed && <p className="mb-4 text-yellow-300">The salon is closed on this day.</p>}
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl overflow-x-auto">
+                <div className="flex min-w-max">
+                    <div className="w-16 flex-shrink-0 border-r border-gray-800">
+                        <div className="h-10" />
+                        <div className="relative" style={{ height: (closeMinutes - openMinutes) * CALENDAR_PX_PER_MINUTE }}>
+                            {hourMarks.map(m => <span key={m} className="absolute right-2 text-xs text-gray-500" style={{ top: (m - openMinutes) * CALENDAR_PX_PER_MINUTE - 6 }}>{formatTimeOfDay(m)}</span>)}
+                        </div>
+                    </div>
+                    {columns.map(column => (
+                        <div key={column.id} className="w-48 flex-shrink-0 border-r border-gray-800">
+                            <div className="h-10 flex items-center justify-center font-bold text-gray-300 border-b border-gray-800">{column.name}</div>
+                            <div className="relative" style={{ height: (closeMinutes - openMinutes) * CALENDAR_PX_PER_MINUTE }}>
+                                {hourMarks.map(m => <div key={m} className="absolute left-0 right-0 border-t border-gray-800/60" style={{ top: (m - openMinutes) * CALENDAR_PX_PER_MINUTE }} />)}
+                                {visible.filter(booking => columnFor(booking) === column.id).map(booking => (
+                                    <button key={booking.id} onClick={() => setSelected(booking)} className={`absolute left-1 right-1 p-2 text-left rounded-lg overflow-hidden text-xs ${booking.status === 'booked' ? 'bg-[#7B2CF6]/30 border border-[#7B2CF6]' : 'bg-gray-800 border border-gray-700 opacity-70'}`} style={{ top: (booking.startMinutes - openMinutes) * CALENDAR_PX_PER_MINUTE, height: Math.max(24, booking.serviceDuration * CALENDAR_PX_PER_MINUTE - 2) }}>
+                                        <p className="font-bold text-white truncate">{formatTimeOfDay(booking.startMinutes)} {booking.userName}</p>
+                                        <p className="text-gray-300 truncate">{booking.serviceName}</p>
+                                        <div className="mt-1">{getBookingStatusChip(booking, now)}</div>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            {visible.length === 0 && <p className="mt-4 text-gray-500">No bookings on {formatDayKey(dayKey, { weekday: 'long', day: 'numeric', month: 'long' })}.</p>}
+        </div>
+    );
+};
+
+// --- Billing Components ---
+const Receipt = ({ invoice }) => {
+    const handleShare = async () => {
+        const text = formatReceiptText(invoice);
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: `Receipt ${invoice.invoiceNumber}`, text });
+                return;
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+            }
+        }
+        const phone = (invoice.customerPhone || '').replace(/\D/g, '');
+        window.open(`https://wa.me/${phone}?text=${encodeURIComponent(text)}`, '_blank');
+    };
+
+    return (
+        <div className="w-full max-w-md">
+            <div className="print-area bg-white text-black rounded-2xl p-6 font-mono text-sm">
+                <div className="text-center mb-4">
+                    <p className="text-xl font-bold">{invoice.salonName}</p>
+                    {invoice.gstin && <p>GSTIN: {invoice.gstin}</p>}
+                    <p>{invoice.invoiceNumber} · {formatDate(invoice.createdAt)}</p>
+                    {invoice.customerName && <p>Customer: {invoice.customerName}</p>}
+                </div>
+                <table className="w-full">
+                    <tbody>
+                        {invoice.items.map((item, index) => (
+                            <tr key={index}>
+                                <td className="py-1">{item.name}{item.quantity > 1 ? ` x${item.quantity}` : ''}</td>
+                                <td className="py-1 text-right">{formatCurrency(item.price * item.quantity)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="border-t border-dashed border-gray-400 mt-2 pt-2 space-y-1">
+                    <div className="flex justify-between"><span>Subtotal</span><span>{formatCurrency(invoice.subtotal)}</span></div>
+                    {invoice.discountAmount > 0 && <div className="flex justify-between"><span>Discount</span><span>-{formatCurrency(invoice.discountAmount)}</span></div>}
+                    <div className="flex justify-between"><span>Taxable amount</span><span>{formatCurrency(invoice.taxableAmount)}</span></div>
+                    <div className="flex justify-between"><span>CGST @ {invoice.gstRate / 2}%</span><span>{formatCurrency(invoice.cgst)}</span></div>
+                    <div className="flex justify-between"><span>SGST @ {invoice.gstRate / 2}%</span><span>{formatCurrency(invoice.sgst)}</span></div>
+                    <div className="flex justify-between text-lg font-bold border-t border-dashed border-gray-400 pt-2"><span>Total</span><span>{formatCurrency(invoice.total)}</span></div>
+                    <p className="text-center pt-2">Paid by {PAYMENT_METHODS.find(m => m.id === invoice.paymentMethod)?.label || invoice.paymentMethod}</p>
+                </div>
+            </div>
+            <div className="no-print flex gap-4 mt-4">
+                <button onClick={() => window.print()} className="w-full py-2 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Print</button>
+                <button onClick={handleShare} className="w-full py-2 bg-[#7B2CF6] text-white rounded-lg font-bold hover:glow-violet">Share</button>
+            </div>
+        </div>
+    );
+};
+
+const CheckoutModal = ({ entry, onClose }) => {
+    const { db, user, settings } = useContext(AppContext);
+    const [services, setServices] = useState([]);
+    const [items, setItems] = useState([{ type: 'service', serviceId: entry.serviceId, name: entry.serviceName, price: entry.servicePrice ?? 0, quantity: 1 }]);
+    const [productName, setProductName] = useState('');
+    const [productPrice, setProductPrice] = useState('');
+    const [discount, setDiscount] = useState({ type: 'percent', value: '' });
+    const [paymentMethod, setPaymentMethod] = useState('cash');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [invoice, setInvoice] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(query(collection(db, "services")), (snapshot) => {
+            setServices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    // Entries created before prices were copied onto the queue fall back to the service's current price.
+    useEffect(() => {
+        if (entry.servicePrice !== undefined) return;
+        const service = services.find(s => s.id === entry.serviceId);
+        if (service) setItems(current => current.map((item, index) => (index === 0 ? { ...item, price: Number(service.price) || 0 } : item)));
+    }, [services, entry]);
+
+    const addService = (serviceId) => {
+        const service = services.find(s => s.id === serviceId);
+        if (service) setItems(current => [...current, { type: 'service', serviceId: service.id, name: service.name, price: Number(service.price) || 0, quantity: 1 }]);
+    };
+
+    const addProduct = (e) => {
+        e.preventDefault();
+        const name = productName.trim();
+        if (!name || !(Number(productPrice) >= 0)) return;
+        setItems(current => [...current, { type: 'product', name, price: Number(productPrice), quantity: 1 }]);
+        setProductName('');
+        setProductPrice('');
+    };
+
+    const updateQuantity = (index, quantity) => setItems(current => current.map((item, i) => (i === index ? { ...item, quantity: Math.max(1, Number(quantity) || 1) } : item)));
+    const removeItem = (index) => setItems(current => current.filter((_, i) => i !== index));
+
+    const totals = calculateInvoiceTotals(items, discount, settings.gstRate);
+
+    const handleComplete = async () => {
+        if (items.length === 0) {
+            setError('Add at least one item.');
+            return;
+        }
+        setError('');
+        setIsSaving(true);
+        try {
+            const saved = await completeQueueEntry(db, entry, { items, discount: { type: discount.type, value: Number(discount.value) || 0 }, paymentMethod }, {
+                salonName: settings.salonName,
+                gstRate: settings.gstRate,
+                gstin: settings.gstin,
+                staffId: user.uid,
+            });
+            if (saved) {
+                setInvoice(saved);
+            } else {
+                setError(`#${entry.queueNumber} ${entry.userName} is no longer in service; they may already have been checked out.`);
+            }
+        } catch (err) {
+            console.error("Checkout error:", err);
+            setError(getErrorMessage(err, 'Could not save the invoice. Please try again.'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const inputClass = "p-2 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none";
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-8 w-full max-w-xl max-h-[90vh] overflow-y-auto">
+                {invoice ? (
+                    <div className="flex flex-col items-center">
+                        <h3 className="text-2xl font-headline mb-4">Payment Recorded</h3>
+                        <Receipt invoice={invoice} />
+                        <button onClick={onClose} className="no-print mt-4 w-full py-2 bg-[#D7FC00] text-black rounded-lg font-bold hover:glow-lime">Done</button>
+                    </div>
+                ) : (
+                    <>
+                        <div className="flex justify-between items-start mb-6">
+                            <div>
+                                <h3 className="text-2xl font-headline">Checkout</h3>
+                                <p className="text-gray-400">#{entry.queueNumber} · {entry.userName}{entry.stylistName ? ` · ${entry.stylistName}` : ''}</p>
+                            </div>
+                            <button onClick={onClose} className="text-gray-500 hover:text-white text-2xl">&times;</button>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                        <table className="w-full text-left mb-4">
+                            <tbody>
+                                {items.map((item, index) => (
+                                    <tr key={index} className="border-t border-gray-800">
+                                        <td className="py-2">{item.name}<span className="ml-2 text-xs text-gray-500">{item.type}</span></td>
+                                        <td className="py-2 w-20"><input type="number" min="1" value={item.quantity} onChange={(e) => updateQuantity(index, e.target.value)} className={`${inputClass} w-16`} /></td>
+                                        <td className="py-2 text-right">{formatCurrency(item.price * item.quantity)}</td>
+                                        <td className="py-2 text-right w-10"><button onClick={() => removeItem(index)} className="text-red-400 hover:text-red-300"><TrashIcon className="w-4 h-4" /></button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="space-y-3 mb-6">
+                            <select value="" onChange={(e) => addService(e.target.value)} className={`${inputClass} w-full`}>
+                                <option value="">+ Add another service</option>
+                                {services.map(s => <option key={s.id} value={s.id}>{s.name} · ₹{s.price}</option>)}
+                            </select>
+                            <form onSubmit={addProduct} className="flex gap-2">
+                                <input type="text" value={productName} onChange={(e) => setProductName(e.target.value)} placeholder="Product name" className={`${inputClass} flex-1`} />
+                                <input type="number" min="0" step="0.01" value={productPrice} onChange={(e) => setProductPrice(e.target.value)} placeholder="Price" className={`${inputClass} w-24`} />
+                                <button type="submit" className="px-4 bg-gray-700 rounded-lg font-bold hover:bg-gray-600">Add</button>
+                            </form>
+                            <div className="flex gap-2 items-center">
+                                <span className="text-gray-300">Discount</span>
+                                <select value={discount.type} onChange={(e) => setDiscount(current => ({ ...current, type: e.target.value }))} className={inputClass}>
+                                    <option value="percent">%</option>
+                                    <option value="flat">₹</option>
+                                </select>
+                                <input type="number" min="0" value={discount.value} onChange={(e) => setDiscount(current => ({ ...current, value: e.target.value }))} placeholder="0" className={`${inputClass} w-24`} />
+                            </div>
+                        </div>
+                        <div className="bg-[#111111] rounded-xl p-4 space-y-1 mb-6">
+                            <div className="flex justify-between text-gray-400"><span>Subtotal</span><span>{formatCurrency(totals.subtotal)}</span></div>
+                            {totals.discountAmount > 0 && <div className="flex justify-between text-gray-400"><span>Discount</span><span>-{formatCurrency(totals.discountAmount)}</span></div>}
+                            <div className="flex justify-between text-gray-400"><span>CGST @ {settings.gstRate / 2}%</span><span>{formatCurrency(totals.cgst)}</span></div>
+                            <div className="flex justify-between text-gray-400"><span>SGST @ {settings.gstRate / 2}%</span><span>{formatCurrency(totals.sgst)}</span></div>
+                            <div className="flex justify-between text-2xl font-bold text-[#D7FC00] pt-2"><span>Total</span><span>{formatCurrency(totals.total)}</span></div>
+                        </div>
+                        <div className="flex gap-2 mb-6">
+                            {PAYMENT_METHODS.map(method => (
+                                <button key={method.id} onClick={() => setPaymentMethod(method.id)} className={`w-full py-2 rounded-lg font-bold border-2 ${paymentMethod === method.id ? 'border-[#D7FC00] text-[#D7FC00]' : 'border-gray-700 text-gray-300 hover:border-gray-500'}`}>{method.label}</button>
+                            ))}
+                        </div>
+                        <button onClick={handleComplete} disabled={isSaving} className="w-full py-3 bg-blue-500 text-white rounded-lg font-bold hover:bg-blue-400 disabled:opacity-50">{isSaving ? 'Saving...' : `Complete · ${formatCurrency(totals.total)}`}</button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Analytics Components ---
+// Average measured minutes per service from serviceStats, once a service has
+// SERVICE_STATS_MIN_SAMPLES visits. Empty while `enabled` is off, so wait
+// estimates fall back to the configured durations.
+const useMeasuredDurations = (db, enabled) => {
+    const [durations, setDurations] = useState({});
+
+    useEffect(() => {
+        if (!db || !enabled) {
+            setDurations({});
+            return;
+        }
+        const unsubscribe = onSnapshot(collection(db, "serviceStats"), (snapshot) => {
+            const measured = {};
+            snapshot.docs.forEach(statDoc => {
+                const { samples = 0, totalMinutes = 0 } = statDoc.data();
+                if (samples >= SERVICE_STATS_MIN_SAMPLES) measured[statDoc.id] = totalMinutes / samples;
+            });
+            setDurations(measured);
+        });
+        return () => unsubscribe();
+    }, [db, enabled]);
+
+    return durations;
+};
+
+const formatMinutes = (minutes) => (minutes === null ? '—' : `${Math.round(minutes)} min`);
+const formatPercent = (ratio) => (ratio === null ? '—' : `${Math.round(ratio * 100)}%`);
+
+const BarChart = ({ bars }) => {
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    return (
+        <div className="flex items-end gap-1 h-48 overflow-x-auto">
+            {bars.map(bar => (
+                <div key={bar.label} className="flex flex-col items-center justify-end h-full min-w-[2rem] flex-1" title={`${bar.label}: ${bar.value}`}>
+                    <span className="text-xs text-gray-400 mb-1">{bar.value || ''}</span>
+                    <div className="w-full bg-[#7B2CF6] rounded-t" style={{ height: `${(bar.value / max) * 100}%` }} />
+                    <span className="text-xs text-gray-500 mt-1 whitespace-nowrap">{bar.label}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const AnalyticsPage = () => {
+    const { db } = useContext(AppContext);
+    const [range, setRange] = useState(() => ({ from: getDayKey(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)), to: getDayKey() }));
+    const [entries, setEntries] = useState([]);
+    const [invoices, setInvoices] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!db || !range.from || !range.to) return;
+        const start = Timestamp.fromMillis(dayKeyToMillis(range.from));
+        const end = Timestamp.fromMillis(dayKeyToMillis(range.to, 24 * 60));
+        let cancelled = false;
+        setIsLoading(true);
+        setError('');
+        Promise.all([
+            getDocs(query(collection(db, "queue"), where("createdAt", ">=", start), where("createdAt", "<", end))),
+            getDocs(query(collection(db, "invoices"), where("createdAt", ">=", start), where("createdAt", "<", end))),
+        ]).then(([queueSnap, invoiceSnap]) => {
+            if (cancelled) return;
+            setEntries(queueSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setInvoices(invoiceSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }).catch((err) => {
+            console.error("Analytics load error:", err);
+            if (!cancelled) setError('Could not load analytics for this range.');
+        }).finally(() => {
+            if (!cancelled) setIsLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [db, range]);
+
+    const summary = summarizeAnalytics(entries, invoices);
+    const busyHours = Object.keys(summary.hours).map(Number);
+    const hourBars = busyHours.length === 0 ? [] : Array.from({ length: Math.max(...busyHours) - Math.min(...busyHours) + 1 }, (_, index) => {
+        const hour = Math.min(...busyHours) + index;
+        return { label: formatTimeOfDay(hour * 60), value: summary.hours[hour] || 0 };
+    });
+
+    const handleExport = () => {
+        downloadCsv(`queue-${range.from}-to-${range.to}.csv`, [
+            ['Token', 'Name', 'Phone', 'Service', 'Configured mins', 'Stylist', 'Source', 'Status', 'Joined', 'Started', 'Completed', 'Left', 'Wait mins', 'Service mins', 'Amount paid'],
+            ...sortQueue(entries).map(entry => {
+                const leftAt = toMillis(entry.removedAt) ?? toMillis(entry.cancelledAt);
+                const serviceMinutes = minutesBetween(entry.startedAt, entry.completedAt);
+                const waitMinutes = getWaitMinutes(entry);
+                return [
+                    entry.queueNumber,
+                    entry.userName,
+                    entry.userPhone,
+                    entry.serviceName,
+                    entry.serviceDuration,
+                    entry.stylistName,
+                    entry.source,
+                    entry.status,
+                    toMillis(entry.createdAt) ? new Date(toMillis(entry.createdAt)).toLocaleString() : '',
+                    toMillis(entry.startedAt) ? new Date(toMillis(entry.startedAt)).toLocaleString() : '',
+                    toMillis(entry.completedAt) ? new Date(toMillis(entry.completedAt)).toLocaleString() : '',
+                    leftAt ? new Date(leftAt).toLocaleString() : '',
+                    waitMinutes === null ? '' : Math.round(waitMinutes),
+                    serviceMinutes === null ? '' : Math.round(serviceMinutes),
+                    entry.amountPaid ?? '',
+                ];
+            }),
+        ]);
+    };
+
+    const inputClass = "p-2 bg-[#111111] border-2 border-gray-700 rounded-lg focus:border-[#7B2CF6] outline-none";
+    const stats = [
+        { label: 'Customers', value: summary.totalJoined },
+        { label: 'Average wait', value: formatMinutes(summary.averageWaitMinutes) },
+        { label: 'Walk-out rate', value: formatPercent(summary.walkOutRate) },
+        { label: 'Revenue', value: formatCurrency(summary.revenue) },
+    ];
+
+    return (
+        <div className="animate-fade-in space-y-8">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <h2 className="text-4xl font-headline uppercase">Analytics</h2>
+                <div className="flex flex-wrap items-center gap-3">
+                    <input type="date" value={range.from} max={range.to} onChange={(e) => setRange(current => ({ ...current, from: e.target.value }))} className={inputClass} />
+                    <span className="text-gray-500">to</span>
+                    <input type="date" value={range.to} min={range.from} onChange={(e) => setRange(current => ({ ...current, to: e.target.value }))} className={inputClass} />
+                    <button onClick={handleExport} disabled={entries.length === 0} className="py-2 px-4 bg-gray-700 rounded-lg font-bold hover:bg-gray-600 disabled:opacity-50">Export CSV</button>
+                </div>
+            </div>
+            {error && <p className="text-red-500">{error}</p>}
+            {isLoading ? <p className="text-gray-500">Loading...</p> : (
+                <>
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                        {stats.map(stat => (
+                            <div key={stat.label} className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6">
+                                <p className="text-sm uppercase text-gray-400">{stat.label}</p>
+                                <p className="text-3xl font-bold text-[#D7FC00]">{stat.value}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="grid lg:grid-cols-2 gap-8">
+                        <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6">
+                            <h3 className="text-2xl font-headline mb-4">Customers per Day</h3>
+                            <BarChart bars={summary.days.map(day => ({ label: formatDayKey(day.day, { day: 'numeric', month: 'short' }), value: day.joined }))} />
+                        </section>
+                        <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl p-6">
+                            <h3 className="text-2xl font-headline mb-4">Customers by Hour Joined</h3>
+                            <BarChart bars={hourBars} />
+                        </section>
+                    </div>
+
+                    <section className="bg-[#1A1A1A] border border-gray-800 rounded-2xl overflow-hidden">
+                        <h3 className="text-2xl font-headline p-6 pb-2">Services</h3>
+                        <table className="w-full text-left">
+                            <thead className="bg-gray-800/50"><tr><th className="p-4 uppercase text-sm text-gray-400">Service</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Served</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Configured</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Actual avg</th><th className="p-4 uppercase text-sm text-gray-400 text-right">Revenue</th></tr></thead>
+                            <tbody>
+                                {summary.services.map(row => (
+                                    <tr key={row.serviceId || row.serviceName} className="border-t border-gray-800">
+                                        <td className="p-4 font-medium">{row.serviceName}</td>
+                                        <td className="p-4 text-right text-gray-300">{row.served}</td>
+                                        <td className="p-4 text-right text-gray-400">{formatMinutes(row.configuredMinutes)}</td>
+                                        <td className={`p-4 text-right ${row.averageMinutes !== null && row.configuredMinutes && row.averageMinutes > row.configuredMinutes ? 'text-orange-300' : 'text-gray-300'}`}>{formatMinutes(row.averageMinutes)}</td>
+                                        <td className="p-4 text-right text-[#D7FC00]">{formatCurrency(row.revenue)}</td>
+                                    </tr>
+                                ))}
+                                {summary.productRevenue > 0 && (
+                                    <tr className="border-t border-gray-800">
+                                        <td className="p-4 font-medium text-gray-400" colSpan={4}>Products</td>
+                                        <td className="p-4 text-right text-[#D7FC00]">{formatCurrency(summary.productRevenue)}</td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                        {summary.services.length === 0 && <p className="text-center p-8 text-gray-500">No completed visits in this range.</p>}
+                        <p className="text-xs text-gray-500 p-4">Revenue per line is before discounts and GST; the Revenue total above is what customers paid.</p>
+                    </section>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Sync Components ---
+// Browser connectivity plus the number of tracked writes still waiting for the
+// server, and whether writes queued before the last reload are still unsynced.
+const useSyncStatus = () => {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [pending, setPending] = useState({ pendingCount: pendingWriteCount, hasEarlierWrites: hasEarlierPendingWrites });
+
+    useEffect(() => {
+        const handleConnectivity = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', handleConnectivity);
+        window.addEventListener('offline', handleConnectivity);
+        syncListeners.pending.add(setPending);
+        return () => {
+            window.removeEventListener('online', handleConnectivity);
+            window.removeEventListener('offline', handleConnectivity);
+            syncListeners.pending.delete(setPending);
+        };
+    }, []);
+
+    return { isOnline, ...pending };
+};
+
+// Hidden while online with nothing left to sync.
+const SyncStatusIndicator = ({ className = '' }) => {
+    const { isOnline, pendingCount, hasEarlierWrites } = useSyncStatus();
+    if (isOnline && pendingCount === 0 && !hasEarlierWrites) return null;
+    const changes = pendingCount > 0
+        ? `${pendingCount}${hasEarlierWrites ? '+' : ''} change${pendingCount === 1 && !hasEarlierWrites ? '' : 's'}`
+        : hasEarlierWrites ? 'earlier changes' : '';
+    const label = isOnline ? `Syncing ${changes}...` : `Offline${changes ? ` · ${changes} waiting to sync` : ''}`;
+    return (
+        <span className={`no-print px-3 py-1 text-sm font-bold rounded-full ${isOnline ? 'text-blue-300 bg-blue-900/50' : 'text-orange-300 bg-orange-900/50'} ${className}`}>
+            {label}
+        </span>
+    );
+};
+
+const ToastStack = ({ toasts, onDismiss }) => (
+    <div className="no-print fixed bottom-4 left-1/2 -translate-x-1/2 z-[60] flex flex-col gap-2 w-full max-w-md px-4">
+        {toasts.map(toast => (
+            <div key={toast.id} role="alert" className={`flex items-start gap-3 p-4 rounded-xl shadow-lg animate-fade-in ${toast.type === 'error' ? 'bg-red-900 border border-red-700 text-red-100' : 'bg-[#1A1A1A] border border-gray-700 text-white'}`}>
+                <p className="flex-1 text-sm">{toast.message}</p>
+                <button onClick={() => onDismiss(toast.id)} className="text-lg leading-none opacity-70 hover:opacity-100">&times;</button>
+            </div>
+        ))}
+    </div>
+);
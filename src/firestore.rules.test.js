@@ -0,0 +1,280 @@
+/**
+ * @jest-environment node
+ */
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, deleteField, doc, getDoc, getDocs, query, serverTimestamp, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { checkInBooking, closeQueueEntry, joinQueue, toPublicEntry } from './App';
+import { describeWithEmulator, setupTestEnvironment, seed, seedSalon, readAll, HAIRCUT } from './testing/firestoreEmulator';
+
+const DAY = new Date(2030, 0, 7, 10, 0);
+const DAY_KEY = '2030-01-07';
+
+const contextFor = (testEnv, uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+const appJoin = (db, uid) => joinQueue(db, { userId: uid, userName: `Customer ${uid}`, userPhone: '+919000000001', service: HAIRCUT, now: DAY });
+
+const kioskJoin = (db, phone = '9000000002') => joinQueue(db, { userName: 'Walk In', userPhone: `+91${phone}`, service: HAIRCUT, source: 'kiosk', now: DAY });
+
+// The writes joinQueue's transaction makes for a kiosk join on a day with no
+// closed entries yet, as a plain batch so single fields can be tampered with.
+const kioskJoinBatch = (db, extraFields = {}, phone = '9000000003') => {
+    const entryRef = doc(collection(db, 'queue'));
+    const entry = {
+        userId: null,
+        userName: 'Walk In',
+        userPhone: `+91${phone}`,
+        customerKey: `phone_+91${phone}`,
+        serviceId: HAIRCUT.id,
+        serviceName: HAIRCUT.name,
+        serviceDuration: HAIRCUT.duration,
+        servicePrice: HAIRCUT.price,
+        preferredStylistId: 'any',
+        preferredStylistName: null,
+        status: 'waiting',
+        queueNumber: 1,
+        dayKey: DAY_KEY,
+        source: 'kiosk',
+        createdAt: serverTimestamp(),
+        ...extraFields,
+    };
+    const batch = writeBatch(db);
+    batch.set(entryRef, entry);
+    batch.set(doc(db, 'queuePublic', entryRef.id), toPublicEntry(entry));
+    batch.set(doc(db, 'queueCounters', DAY_KEY), { lastNumber: entry.queueNumber, activeCount: entry.queueNumber, lastEntryId: entryRef.id, updatedAt: serverTimestamp() });
+    batch.set(doc(db, 'queueLocks', entry.customerKey), { entryId: entryRef.id, updatedAt: serverTimestamp() });
+    return batch.commit();
+};
+
+const readEntry = (testEnv, id) => readAll(testEnv, async db => ({ id, ...(await getDoc(doc(db, 'queue', id))).data() }));
+
+describeWithEmulator('firestore.rules', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await setupTestEnvironment();
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedSalon(testEnv);
+        await seed(testEnv, {
+            'users/alice': { role: 'customer' },
+            'users/bob': { role: 'customer' },
+            'users/stella': { role: 'staff' },
+            'users/olive': { role: 'owner' },
+        });
+    });
+
+    describe('customers', () => {
+        it('can join and cancel their own entry', async () => {
+            const db = contextFor(testEnv, 'alice');
+            const { entry } = await assertSucceeds(appJoin(db, 'alice'));
+
+            const batch = writeBatch(db);
+            closeQueueEntry(batch, db, entry, { status: 'cancelled', cancelledAt: serverTimestamp() });
+            await assertSucceeds(batch.commit());
+        });
+
+        it('cannot join on behalf of someone else', async () => {
+            await assertFails(appJoin(contextFor(testEnv, 'alice'), 'bob'));
+        });
+
+        it("cannot cancel someone else's entry", async () => {
+            const { entry } = await appJoin(contextFor(testEnv, 'alice'), 'alice');
+            const db = contextFor(testEnv, 'bob');
+
+            const batch = writeBatch(db);
+            closeQueueEntry(batch, db, entry, { status: 'cancelled', cancelledAt: serverTimestamp() });
+            await assertFails(batch.commit());
+        });
+
+        it('cannot create an entry outside the join transaction', async () => {
+            const db = contextFor(testEnv, 'alice');
+            await assertFails(setDoc(doc(db, 'queue', 'forged'), {
+                userId: 'alice',
+                userName: 'Alice',
+                customerKey: 'user_alice',
+                serviceId: HAIRCUT.id,
+                servicePrice: HAIRCUT.price,
+                status: 'waiting',
+                queueNumber: 1,
+                dayKey: DAY_KEY,
+                source: 'app',
+                createdAt: serverTimestamp(),
+            }));
+        });
+
+        it('can read only their own entry; everyone can read the public copy without contact details', async () => {
+            const { entry } = await appJoin(contextFor(testEnv, 'alice'), 'alice');
+
+            await assertSucceeds(getDoc(doc(contextFor(testEnv, 'alice'), 'queue', entry.id)));
+            await assertSucceeds(getDocs(query(collection(contextFor(testEnv, 'alice'), 'queue'), where('userId', '==', 'alice'))));
+            await assertFails(getDoc(doc(contextFor(testEnv, 'bob'), 'queue', entry.id)));
+            await assertFails(getDocs(collection(contextFor(testEnv), 'queue')));
+
+            const publicSnap = await assertSucceeds(getDoc(doc(contextFor(testEnv), 'queuePublic', entry.id)));
+            expect(publicSnap.data()).toMatchObject({ queueNumber: 1, userName: 'Customer A.', status: 'waiting' });
+            expect(publicSnap.data()).not.toHaveProperty('userPhone');
+            expect(publicSnap.data()).not.toHaveProperty('customerKey');
+        });
+    });
+
+    describe('entry status', () => {
+        it('can only be changed by staff', async () => {
+            const { entry } = await appJoin(contextFor(testEnv, 'alice'), 'alice');
+
+            await assertFails(updateDoc(doc(contextFor(testEnv, 'alice'), 'queue', entry.id), { status: 'in-service' }));
+            await assertFails(updateDoc(doc(contextFor(testEnv), 'queue', entry.id), { status: 'in-service' }));
+
+            const db = contextFor(testEnv, 'stella');
+            const changes = { status: 'in-service', stylistId: null, stylistName: null, startedAt: serverTimestamp() };
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'queue', entry.id), changes);
+            batch.set(doc(db, 'queuePublic', entry.id), toPublicEntry({ ...entry, ...changes }));
+            await assertSucceeds(batch.commit());
+        });
+
+        it('lets staff remove an entry and releases its place in the day count', async () => {
+            const { entry } = await appJoin(contextFor(testEnv, 'alice'), 'alice');
+            const db = contextFor(testEnv, 'stella');
+
+            const batch = writeBatch(db);
+            closeQueueEntry(batch, db, await readEntry(testEnv, entry.id), { status: 'removed', removedAt: serverTimestamp() });
+            await assertSucceeds(batch.commit());
+
+            const counter = await readAll(testEnv, async db => (await getDoc(doc(db, 'queueCounters', DAY_KEY))).data());
+            expect(counter.activeCount).toBe(0);
+        });
+
+        it('does not let the day count be lowered without closing an entry', async () => {
+            const { entry } = await appJoin(contextFor(testEnv, 'alice'), 'alice');
+
+            await assertFails(setDoc(doc(contextFor(testEnv, 'alice'), 'queueCounters', DAY_KEY), { activeCount: 0, lastClosedEntryId: entry.id, updatedAt: serverTimestamp() }, { merge: true }));
+        });
+    });
+
+    describe('services and roles', () => {
+        it('can only be edited by owners', async () => {
+            const service = { name: 'Shave', price: 150, duration: 15 };
+            await assertFails(setDoc(doc(contextFor(testEnv, 'alice'), 'services', 'shave'), service));
+            await assertFails(setDoc(doc(contextFor(testEnv, 'stella'), 'services', 'shave'), service));
+            await assertSucceeds(setDoc(doc(contextFor(testEnv, 'olive'), 'services', 'shave'), service));
+            await assertFails(deleteDoc(doc(contextFor(testEnv, 'stella'), 'services', HAIRCUT.id)));
+
+            await assertFails(updateDoc(doc(contextFor(testEnv, 'alice'), 'users', 'alice'), { role: 'owner' }));
+            await assertFails(updateDoc(doc(contextFor(testEnv, 'stella'), 'users', 'alice'), { role: 'staff' }));
+            await assertSucceeds(updateDoc(doc(contextFor(testEnv, 'olive'), 'users', 'alice'), { role: 'staff' }));
+        });
+    });
+
+    describe('booking slots', () => {
+        const booking = {
+            userId: 'alice',
+            userName: 'Alice',
+            userPhone: null,
+            customerKey: 'user_alice',
+            serviceId: HAIRCUT.id,
+            serviceName: HAIRCUT.name,
+            serviceDuration: HAIRCUT.duration,
+            servicePrice: HAIRCUT.price,
+            stylistId: 'any',
+            stylistName: null,
+            date: DAY_KEY,
+            startMinutes: 600,
+            status: 'booked',
+        };
+        const slot = { startMinutes: 600, duration: HAIRCUT.duration, stylistId: 'any' };
+
+        const writeBooking = (db, bookingFields, daySlot) => {
+            const batch = writeBatch(db);
+            if (bookingFields) batch.set(doc(db, 'bookings', 'b1'), { ...bookingFields, createdAt: serverTimestamp() });
+            if (daySlot) batch.set(doc(db, 'bookingDays', DAY_KEY), { slots: { b1: daySlot }, lastBookingId: 'b1', updatedAt: serverTimestamp() }, { merge: true });
+            return batch.commit();
+        };
+
+        it('are only reserved together with a matching booking', async () => {
+            const db = contextFor(testEnv, 'alice');
+
+            await assertFails(writeBooking(db, null, slot));
+            await assertFails(writeBooking(db, booking, null));
+            await assertFails(writeBooking(db, booking, { ...slot, startMinutes: 660 }));
+            await assertSucceeds(writeBooking(db, booking, slot));
+        });
+
+        it('must match the service they book', async () => {
+            const db = contextFor(testEnv, 'alice');
+
+            await assertFails(writeBooking(db, { ...booking, serviceDuration: 0 }, { ...slot, duration: 0 }));
+            await assertFails(writeBooking(db, { ...booking, servicePrice: 1 }, slot));
+            await assertFails(writeBooking(db, { ...booking, queueEntryId: 'forged' }, slot));
+        });
+
+        it('can be checked in at the booked price after the service is repriced', async () => {
+            await writeBooking(contextFor(testEnv, 'alice'), booking, slot);
+            await seed(testEnv, { [`services/${HAIRCUT.id}`]: { name: HAIRCUT.name, price: HAIRCUT.price + 100, duration: HAIRCUT.duration } });
+
+            const result = await assertSucceeds(checkInBooking(contextFor(testEnv, 'stella'), { id: 'b1', ...booking }));
+            expect(result.entry.servicePrice).toBe(HAIRCUT.price);
+        });
+
+        it('are freed when the booking is cancelled, and only then', async () => {
+            const db = contextFor(testEnv, 'alice');
+            await writeBooking(db, booking, slot);
+
+            const freeSlot = { slots: { b1: deleteField() }, lastBookingId: 'b1', updatedAt: serverTimestamp() };
+            await assertFails(setDoc(doc(db, 'bookingDays', DAY_KEY), freeSlot, { merge: true }));
+            await assertFails(updateDoc(doc(db, 'bookings', 'b1'), { status: 'cancelled', cancelledAt: serverTimestamp() }));
+
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'bookings', 'b1'), { status: 'cancelled', cancelledAt: serverTimestamp() });
+            batch.set(doc(db, 'bookingDays', DAY_KEY), freeSlot, { merge: true });
+            await assertSucceeds(batch.commit());
+        });
+    });
+
+    describe('the kiosk', () => {
+        it('can add walk-ins', async () => {
+            await assertSucceeds(kioskJoin(contextFor(testEnv)));
+        });
+
+        it('cannot write fields outside a new queue entry', async () => {
+            await assertFails(kioskJoinBatch(contextFor(testEnv), { amountPaid: 0 }));
+            await assertFails(kioskJoinBatch(contextFor(testEnv), { status: 'in-service' }));
+            await assertFails(kioskJoinBatch(contextFor(testEnv), { servicePrice: 1 }));
+            await assertSucceeds(kioskJoinBatch(contextFor(testEnv)));
+        });
+
+        it('cannot join while the queue is paused', async () => {
+            await seedSalon(testEnv, { queuePaused: true });
+
+            await assertFails(kioskJoinBatch(contextFor(testEnv)));
+        });
+
+        it('cannot join past the queue length limit', async () => {
+            await seedSalon(testEnv, { maxQueueLength: 1 });
+
+            await assertSucceeds(kioskJoinBatch(contextFor(testEnv)));
+            await assertFails(kioskJoinBatch(contextFor(testEnv), { queueNumber: 2 }, '9000000004'));
+        });
+
+        it('cannot touch anything else', async () => {
+            const { entry } = await kioskJoin(contextFor(testEnv));
+            const db = contextFor(testEnv);
+
+            await assertFails(updateDoc(doc(db, 'queue', entry.id), { status: 'cancelled' }));
+            await assertFails(deleteDoc(doc(db, 'queuePublic', entry.id)));
+            await assertFails(setDoc(doc(db, 'settings', 'salon'), { queuePaused: true }, { merge: true }));
+            await assertFails(setDoc(doc(db, 'customers', entry.customerKey), { visitCount: 0 }));
+        });
+
+        it('cannot list queue locks, whose ids hold walk-in phone numbers', async () => {
+            const { entry } = await kioskJoin(contextFor(testEnv));
+            const db = contextFor(testEnv);
+
+            await assertSucceeds(getDoc(doc(db, 'queueLocks', entry.customerKey)));
+            await assertFails(getDocs(collection(db, 'queueLocks')));
+        });
+    });
+});
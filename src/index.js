@@ -6,3 +6,13 @@ import "./index.css"; // optional, only if you want styles
 const container = document.getElementById("root");
 const root = createRoot(container);
 root.render(<App />);
+
+// Caches the app shell so the dashboard and kiosk still open when the salon's internet drops.
+// Only in production builds: in development it would serve stale bundles.
+if ("serviceWorker" in navigator && process.env.NODE_ENV === "production") {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore';
+import { joinQueue } from './App';
+import { describeWithEmulator, setupTestEnvironment, seedSalon, readAll, HAIRCUT } from './testing/firestoreEmulator';
+
+const kioskJoin = (testEnv, phone, now) => joinQueue(testEnv.unauthenticatedContext().firestore(), {
+    userName: `Walk-in ${phone}`,
+    userPhone: `+91${phone}`,
+    service: HAIRCUT,
+    source: 'kiosk',
+    now,
+});
+
+const appJoin = (testEnv, uid, now) => joinQueue(testEnv.authenticatedContext(uid).firestore(), {
+    userId: uid,
+    userName: `Customer ${uid}`,
+    service: HAIRCUT,
+    now,
+});
+
+describeWithEmulator('joinQueue', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await setupTestEnvironment();
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedSalon(testEnv);
+    });
+
+    it('hands out unique tokens to concurrent joins', async () => {
+        const phones = ['9000000001', '9000000002', '9000000003', '9000000004', '9000000005'];
+        const results = await Promise.all(phones.map(phone => kioskJoin(testEnv, phone)));
+
+        const tokens = results.map(result => result.entry.queueNumber).sort((a, b) => a - b);
+        expect(tokens).toEqual([1, 2, 3, 4, 5]);
+        const entries = await readAll(testEnv, db => getDocs(collection(db, 'queue')));
+        expect(entries.size).toBe(phones.length);
+    });
+
+    it('numbers joins in the order they happen', async () => {
+        const first = await appJoin(testEnv, 'alice');
+        const second = await appJoin(testEnv, 'bob');
+        const third = await kioskJoin(testEnv, '9000000001');
+
+        expect([first, second, third].map(result => result.entry.queueNumber)).toEqual([1, 2, 3]);
+    });
+
+    it('keeps a single entry per customer when they join twice at once', async () => {
+        const results = await Promise.all([appJoin(testEnv, 'alice'), appJoin(testEnv, 'alice'), appJoin(testEnv, 'alice')]);
+
+        expect(results.filter(result => !result.alreadyQueued)).toHaveLength(1);
+        expect(new Set(results.map(result => result.entry.id)).size).toBe(1);
+        const entries = await readAll(testEnv, db => getDocs(collection(db, 'queue')));
+        expect(entries.size).toBe(1);
+    });
+
+    it('never lets concurrent joins past the queue length limit', async () => {
+        await seedSalon(testEnv, { maxQueueLength: 2 });
+        const phones = ['9000000001', '9000000002', '9000000003', '9000000004'];
+        const results = await Promise.all(phones.map(phone => kioskJoin(testEnv, phone)));
+
+        expect(results.filter(result => result.entry)).toHaveLength(2);
+        expect(results.filter(result => result.blockedReason)).toHaveLength(2);
+        const counter = await readAll(testEnv, async db => (await getDoc(doc(db, `queueCounters/${results.find(result => result.entry).entry.dayKey}`))).data());
+        expect(counter).toMatchObject({ lastNumber: 2, activeCount: 2 });
+    });
+
+    it('restarts tokens at 1 on a new day', async () => {
+        const monday = new Date(2030, 0, 7, 10, 0);
+        const tuesday = new Date(2030, 0, 8, 10, 0);
+        await kioskJoin(testEnv, '9000000001', monday);
+        await kioskJoin(testEnv, '9000000002', monday);
+
+        const nextDay = await kioskJoin(testEnv, '9000000003', tuesday);
+
+        expect(nextDay.entry.queueNumber).toBe(1);
+        const counters = await readAll(testEnv, async db => [
+            (await getDoc(doc(db, 'queueCounters/2030-01-07'))).data(),
+            (await getDoc(doc(db, 'queueCounters/2030-01-08'))).data(),
+        ]);
+        expect(counters.map(counter => counter.lastNumber)).toEqual([2, 1]);
+    });
+});
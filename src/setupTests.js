@@ -0,0 +1,9 @@
+// Firebase's Node builds (used by the emulator suites) rely on web globals that
+// Node provides but jest's test environments do not expose.
+import { ReadableStream, WritableStream, TransformStream } from 'stream/web';
+import { TextEncoder, TextDecoder } from 'util';
+
+const webGlobals = { ReadableStream, WritableStream, TransformStream, TextEncoder, TextDecoder };
+Object.entries(webGlobals).forEach(([name, value]) => {
+    if (typeof global[name] === 'undefined') global[name] = value;
+});
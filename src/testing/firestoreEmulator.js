@@ -0,0 +1,44 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// Emulator suites only run under `npm run test:emulator`, which starts the
+// Firestore emulator and sets FIRESTORE_EMULATOR_HOST. A plain `npm test`
+// skips them.
+export const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+export const setupTestEnvironment = () => initializeTestEnvironment({
+    projectId: 'demo-salon-q',
+    firestore: { rules: readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8') },
+});
+
+// Every day open round the clock, so joins never depend on when the suite runs.
+export const OPEN_ALL_DAY_SETTINGS = {
+    salonName: 'Test Salon',
+    hours: Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, { open: '00:00', close: '23:59', closed: false }])),
+    holidays: [],
+    maxQueueLength: 0,
+    queuePaused: false,
+};
+
+export const HAIRCUT = { id: 'haircut', name: 'Haircut', price: 300, duration: 30 };
+
+// Writes fixtures with rules off. `docs` maps document paths to data.
+export const seed = (testEnv, docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await Promise.all(Object.entries(docs).map(([docPath, data]) => setDoc(doc(db, docPath), data)));
+});
+
+export const seedSalon = (testEnv, settings = {}) => seed(testEnv, {
+    'settings/salon': { ...OPEN_ALL_DAY_SETTINGS, ...settings },
+    [`services/${HAIRCUT.id}`]: { name: HAIRCUT.name, price: HAIRCUT.price, duration: HAIRCUT.duration },
+});
+
+// Reads with rules off, for assertions.
+export const readAll = (testEnv, read) => {
+    let result;
+    return testEnv.withSecurityRulesDisabled(async (context) => {
+        result = await read(context.firestore());
+    }).then(() => result);
+};